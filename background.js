@@ -1,42 +1,110 @@
+importScripts('lib/storage.js', 'lib/settings.js', 'lib/public-suffix-list.js', 'lib/url-matcher.js', 'lib/allowlist.js', 'lib/history.js', 'lib/data-transfer.js', 'lib/schedule.js', 'lib/water-breaks.js', 'lib/metabolism.js', 'lib/activity-policy.js', 'lib/session-manager.js', 'lib/sobriety-tests.js', 'lib/pause.js', 'lib/badge.js', 'lib/toast.js');
+
 class FocusBlockerBackground {
+  // Registered at runtime for the configured sites only, so other pages
+  // never load the content script
+  static CONTENT_SCRIPT_ID = 'focus-blocker-content';
+  static CONTENT_SCRIPT_FILES = [
+    'content/effect-roots.js',
+    'content/overlay-renderer.js',
+    'content/effect-engine.js',
+    'content/renderer-benchmark.js',
+    'content/visual-effects.js',
+    'content/input-effects.js',
+    'content/activity-monitor.js',
+    'content/sobriety-test.js',
+    'content/hud.js',
+    'content/page-context.js',
+    'content/site-adapters.js',
+    'content.js'
+  ];
+  
+  // Timers die with the suspended worker, alarms wake it back up. Chrome
+  // won't fire them more often than every 30 seconds, so pages keep their
+  // own timers for anything that has to land to the second (blurAt).
+  static ALARMS = {
+    threshold: 'threshold',         // next budget, level or schedule crossing
+    checkpoint: 'checkpoint',       // periodic save while sessions run
+    waterBreakEnd: 'waterBreakEnd',
+    pause: 'pause',                 // designated driver pause starting or ending
+    dailyRollover: 'dailyRollover'  // local midnight
+  };
+  static MIN_ALARM_MS = 30 * 1000;
+  
   constructor() {
     this.config = null;
+    this.settings = new FocusBlockerSettings();
+    this.urlMatcher = new FocusBlockerUrlMatcher();
+    this.scheduler = new FocusBlockerScheduler();
+    
+    // Parsed blurrableSites, rebuilt when the config changes
+    this.siteRules = [];
+    this.siteRulesSource = null;
+    
+    // Allowlisted channels, playlists, subreddits and patterns, matched against
+    // the URL and what the page reports it shows
+    this.allowlist = new FocusBlockerAllowlist(this.urlMatcher);
+    this.tabContexts = new Map(); // tabId -> { url, channels }
     
     // Per-site time tracking
-    this.siteTimeTrackers = new Map(); // siteKey -> { totalElapsedTime, lastResetDate }
+    this.siteTimeTrackers = new Map(); // siteKey -> { totalElapsedTime, intoxicationTime, lastResetDate }
+    this.metabolism = new FocusBlockerMetabolism();
     
-    // Active session tracking per tab
+    // Active session tracking per tab, at most one per site
     this.activeSessions = new Map(); // tabId -> { siteKey, startTime }
+    this.sessionManager = new FocusBlockerSessionManager();
+    
+    // Long-lived connections from content scripts; state is pushed over these
+    this.ports = new Map(); // tabId -> port
     
     // Message queue for tabs without content scripts
     this.messageQueue = new Map(); // tabId -> [messages]
     
-    // Current active tab
-    this.activeTabId = null;
+    // What counts as using a site: idle state plus per-tab page reports
+    this.activityPolicy = new FocusBlockerActivityPolicy();
+    this.idleState = 'active';
+    this.tabActivity = new Map(); // tabId -> { visible, playing, audible }
+    
+    // Toolbar badge per active tab, only touched when what it shows changes
+    this.badge = new FocusBlockerBadge();
+    this.tabBadges = new Map(); // tabId -> "text|color" last set
     
     // Tab blur states
     this.tabBlurStates = new Map(); // tabId -> boolean
+    this.tabIntoxicationLevels = new Map(); // tabId -> level index last sent
     
-    // Water break tracking
-    this.waterBreakEndTime = null;
+    // Water break allowance, cooldown and the break in progress
+    this.waterBreaks = new FocusBlockerWaterBreaks();
+    this.sobrietyTests = new FocusBlockerSobrietyTests();
     
-    // Heartbeat interval
-    this.checkInterval = null;
+    // Designated driver: no tracking and no effects for a while
+    this.pause = new FocusBlockerPause();
     
-    this.initialize();
+    // Persistence of trackers, sessions and water break across worker restarts
+    this.usageStore = new FocusBlockerStorage('usageState');
+    this.history = new FocusBlockerHistory(new FocusBlockerStorage('usageHistory'));
+    this.lastCheckpointTime = 0;
+    
+    // The event that woke the worker is only delivered to listeners added
+    // during its first turn, so they're added now and wait for initialize()
+    this.ready = this.initialize();
+    this.setupEventListeners();
   }
   
   async initialize() {
     console.log('[Focus Blocker] Background script loaded');
     await this.loadConfig();
-    this.setupEventListeners();
-    this.checkInitialTab();
+    await this.restoreState();
+    await this.setupIdleDetection();
+    await this.registerContentScripts();
+    await this.syncFocus();
+    this.scheduleDailyRollover();
+    this.schedulePauseAlarm();
   }
   
   async loadConfig() {
     try {
-      const response = await fetch(chrome.runtime.getURL('config.json'));
-      this.config = await response.json();
+      this.config = await this.settings.load();
       console.log('[Focus Blocker] Config loaded:', this.config);
     } catch (error) {
       console.error('[Focus Blocker] Failed to load config, using defaults:', error);
@@ -49,12 +117,108 @@ class FocusBlockerBackground {
       blurrableSites: ['youtube.com'],
       timeoutSeconds: 30,
       blurIntensity: '5px',
-      checkIntervalMs: 1000,
       contentCheckIntervalMs: 500,
+      persistIntervalMs: 30000,
+      countingPolicy: 'focused',
+      idleThresholdSeconds: 60,
+      waterBreak: { ...FocusBlockerWaterBreaks.DEFAULTS },
+      badge: { ...FocusBlockerBadge.DEFAULTS },
+      pause: { ...FocusBlockerPause.DEFAULTS },
       enableDebugLogging: true
     };
   }
   
+  async restoreState() {
+    try {
+      await this.history.load();
+      this.history.prune(this.config?.historyRetentionDays || 400);
+    } catch (error) {
+      console.error('[Focus Blocker] Failed to restore usage history:', error);
+    }
+    
+    let saved;
+    try {
+      saved = await this.usageStore.load();
+    } catch (error) {
+      console.error('[Focus Blocker] Failed to restore usage state:', error);
+      return;
+    }
+    
+    if (!saved) {
+      this.log('No saved usage state, starting fresh');
+      return;
+    }
+    
+    const { data, savedAt } = saved;
+    
+    Object.entries(data.siteTimeTrackers || {}).forEach(([siteKey, tracker]) => {
+      this.siteTimeTrackers.set(siteKey, tracker);
+    });
+    
+    // Trackers already include everything up to the last checkpoint. Sessions
+    // are only resumed if the worker came back quickly; otherwise the gap is
+    // unaccounted for and the session restarts from the current tab.
+    const resumeGraceMs = this.getPersistIntervalMs() * 2;
+    if (Date.now() - savedAt <= resumeGraceMs) {
+      (data.activeSessions || []).forEach(([tabId, sessionInfo]) => {
+        this.activeSessions.set(tabId, sessionInfo);
+      });
+    }
+    
+    // A session that wasn't resumed ended, as far as sobering up goes, at the last save
+    this.metabolism.soberSince = data.soberSince ?? null;
+    if (this.activeSessions.size === 0) this.metabolism.startSoberingUp(savedAt);
+    
+    // A break that ran out while the worker was away is just over; one still
+    // running keeps its alarm
+    this.waterBreaks.restore(data.waterBreaks);
+    if (!this.waterBreaks.isActive()) this.waterBreaks.end();
+    
+    // Same for a pause; one that finished while the worker was away still
+    // goes into the history
+    this.pause.restore(data.pause);
+    if (this.pause.isOver()) this.history.recordPause(this.pause.end());
+    
+    // A test that was running when the worker went away can still be passed
+    this.sobrietyTests.restore(data.sobrietyTests);
+    
+    this.log(`Restored usage state from ${new Date(savedAt).toLocaleTimeString()}:`, {
+      sites: this.siteTimeTrackers.size,
+      sessions: this.activeSessions.size,
+      waterBreakActive: this.isWaterBreakActive(),
+      paused: this.isPaused()
+    });
+  }
+  
+  saveState() {
+    const data = {
+      siteTimeTrackers: Object.fromEntries(this.siteTimeTrackers),
+      activeSessions: Array.from(this.activeSessions.entries()),
+      waterBreaks: this.waterBreaks.toJSON(),
+      pause: this.pause.toJSON(),
+      sobrietyTests: this.sobrietyTests.toJSON(),
+      soberSince: this.metabolism.soberSince
+    };
+    
+    return Promise.all([
+      this.usageStore.save(data)
+        .catch(error => console.error('[Focus Blocker] Failed to save usage state:', error)),
+      this.history.save()
+        .catch(error => console.error('[Focus Blocker] Failed to save usage history:', error))
+    ]);
+  }
+  
+  getPersistIntervalMs() {
+    return Math.max(FocusBlockerBackground.MIN_ALARM_MS, this.config?.persistIntervalMs || 30000);
+  }
+  
+  checkpointSessions() {
+    const now = Date.now();
+    this.activeSessions.forEach(sessionInfo => this.accrueSessionTime(sessionInfo, now));
+    this.lastCheckpointTime = now;
+    this.saveState();
+  }
+  
   log(message, ...args) {
     if (this.config?.enableDebugLogging) {
       console.log(`[Focus Blocker] ${message}`, ...args);
@@ -64,18 +228,10 @@ class FocusBlockerBackground {
   getSiteKey(url) {
     if (!url) return null;
     
-    try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname;
-      const parts = hostname.split('.');
-      
-      if (parts.length >= 2) {
-        return parts.slice(-2).join('.'); // Get main domain (e.g., "youtube.com")
-      }
-      return hostname;
-    } catch {
-      return null;
-    }
+    // Target pages are tracked under their rule ("youtube.com/shorts/*"),
+    // everything else under its registrable domain ("bbc.co.uk")
+    const rule = this.findSiteRule(url);
+    return rule ? rule.key : this.urlMatcher.getSiteKey(url);
   }
   
   getSiteTimeTracker(siteKey) {
@@ -84,6 +240,7 @@ class FocusBlockerBackground {
     if (!this.siteTimeTrackers.has(siteKey)) {
       this.siteTimeTrackers.set(siteKey, {
         totalElapsedTime: 0,
+        intoxicationTime: 0,
         lastResetDate: new Date().toDateString()
       });
     }
@@ -92,50 +249,222 @@ class FocusBlockerBackground {
     const today = new Date().toDateString();
     
     if (tracker.lastResetDate !== today) {
+      // With the metabolism model the intoxication carries over and wears off instead
+      if (!this.metabolism.isEnabled(this.config)) tracker.intoxicationTime = 0;
       tracker.totalElapsedTime = 0;
       tracker.lastResetDate = today;
       this.log(`Reset daily timer for ${siteKey}`);
+      this.saveState();
     }
     
     return tracker;
   }
   
+  getSessionElapsed(sessionInfo, now = Date.now()) {
+    // Only the part of a session that falls on today counts toward today's total
+    const startOfToday = new Date(now).setHours(0, 0, 0, 0);
+    return Math.max(0, now - Math.max(sessionInfo.startTime, startOfToday));
+  }
+  
+  accrueSessionTime(sessionInfo, now = Date.now()) {
+    const tracker = this.getSiteTimeTracker(sessionInfo.siteKey);
+    if (!tracker) return null;
+    
+    const elapsed = this.getSessionElapsed(sessionInfo, now);
+    const timeoutMs = this.getTimeoutMs(sessionInfo.siteKey);
+    const intoxicationBefore = tracker.intoxicationTime ?? tracker.totalElapsedTime;
+    
+    tracker.totalElapsedTime += elapsed;
+    tracker.intoxicationTime = intoxicationBefore + elapsed;
+    sessionInfo.startTime = now;
+    
+    const overBudgetMs = Math.max(0, tracker.intoxicationTime - timeoutMs) - 
+      Math.max(0, intoxicationBefore - timeoutMs);
+    this.history.recordTime(sessionInfo.siteKey, now - elapsed, now, overBudgetMs);
+    return tracker;
+  }
+  
   isTargetSite(url) {
     if (!url || !this.config) return false;
     
-    const siteKey = this.getSiteKey(url);
-    if (!siteKey) return false;
+    return this.findSiteRule(url) !== null;
+  }
+  
+  normalizeSiteRule(entry) {
+    // Entries are either a plain site pattern or an object overriding global settings
+    const rule = typeof entry === 'string' ? { site: entry } : entry;
+    if (!rule?.site) return null;
+    
+    return { ...rule, ...this.urlMatcher.parseRule(rule.site) };
+  }
+  
+  getSiteRules() {
+    const source = this.config?.blurrableSites || [];
+    
+    if (source !== this.siteRulesSource) {
+      this.siteRules = source
+        .map(entry => this.normalizeSiteRule(entry))
+        .filter(Boolean);
+      this.siteRulesSource = source;
+    }
+    return this.siteRules;
+  }
+  
+  findSiteRule(url) {
+    if (!url) return null;
+    return this.urlMatcher.findBestRule(this.getSiteRules(), url);
+  }
+  
+  getAllowlistMatch(tab) {
+    if (!tab?.url || !this.isTargetSite(tab.url)) return null;
+    
+    // A report describes the URL it was made for; after navigating it's stale
+    // until the page reports the new one
+    const reported = this.tabContexts.get(tab.id);
+    const pageContext = reported?.url === tab.url ? reported : null;
+    return this.allowlist.findMatch(this.config, tab.url, pageContext);
+  }
+  
+  isAllowlisted(tab) {
+    return this.getAllowlistMatch(tab) !== null;
+  }
+  
+  getSiteRule(siteKey) {
+    if (!siteKey) return null;
+    return this.getSiteRules().find(rule => rule.key === siteKey) || null;
+  }
+  
+  getSiteProfile(siteKey, time = Date.now()) {
+    const rule = this.getSiteRule(siteKey) || {};
+    const config = this.config || {};
+    const baseTimeoutMs = (rule.timeoutSeconds || config.timeoutSeconds || 30) * 1000;
+    const schedule = this.getActiveSchedule(rule, time);
     
-    return this.config.blurrableSites.some(site => 
-      siteKey.includes(site) || site.includes(siteKey)
-    );
+    return {
+      site: rule.site || siteKey,
+      timeoutMs: this.getScheduledTimeoutMs(schedule, baseTimeoutMs),
+      baseTimeoutMs: baseTimeoutMs,
+      schedule: schedule ? { name: schedule.name || 'Schedule', blocked: schedule.blocked === true } : null,
+      blurMin: rule.blurMin ?? config.blurMin,
+      blurMax: rule.blurMax ?? config.blurMax,
+      blurChance: rule.blurChance ?? config.blurChance,
+      effects: rule.effects ?? null,
+      selectors: rule.selectors ?? null,
+      renderer: rule.renderer ?? config.renderer ?? 'auto',
+      inputEffects: this.mergeInputEffects(config.inputEffects, rule.inputEffects)
+    };
+  }
+  
+  getActiveSchedule(rule, time = Date.now()) {
+    return this.scheduler.getActive(this.config?.schedules || [], rule, time);
   }
   
-  getTimeoutMs() {
+  getScheduledTimeoutMs(schedule, baseTimeoutMs) {
+    if (!schedule) return baseTimeoutMs;
+    if (schedule.blocked) return 0;
+    return schedule.timeoutSeconds ? schedule.timeoutSeconds * 1000 : baseTimeoutMs;
+  }
+  
+  getNextScheduleChange(siteKey, time = Date.now()) {
+    const rule = this.getSiteRule(siteKey) || {};
+    const change = this.scheduler.getNextChange(this.config?.schedules || [], rule, time);
+    if (!change) return null;
+    
+    return {
+      time: change.time,
+      name: change.schedule ? change.schedule.name || 'Schedule' : 'Default budget'
+    };
+  }
+  
+  mergeInputEffects(defaults = {}, overrides = {}) {
+    const merged = { ...defaults };
+    Object.entries(overrides).forEach(([behaviour, settings]) => {
+      merged[behaviour] = { ...merged[behaviour], ...settings };
+    });
+    return merged;
+  }
+  
+  getTimeoutMs(siteKey) {
+    if (siteKey) return this.getSiteProfile(siteKey).timeoutMs;
     return (this.config?.timeoutSeconds || 30) * 1000;
   }
   
+  getIntoxicationLevels() {
+    return [...(this.config?.intoxicationLevels || [])]
+      .sort((a, b) => a.overBudgetRatio - b.overBudgetRatio);
+  }
+  
+  getIntoxication(totalTime, timeoutMs, baseTimeoutMs = timeoutMs) {
+    const levels = this.getIntoxicationLevels();
+    if (levels.length === 0 || totalTime < timeoutMs) return null;
+    
+    // Blocked schedules have no budget, so measure against the site's usual one
+    const overBudgetRatio = (totalTime - timeoutMs) / (timeoutMs || baseTimeoutMs);
+    const index = levels.reduce((found, level, i) => 
+      overBudgetRatio >= level.overBudgetRatio ? i : found, 0);
+    const level = levels[index];
+    const nextLevel = levels[index + 1];
+    
+    // Ease intensity towards the next level instead of jumping at the boundary
+    let intensity = level.intensity;
+    if (nextLevel) {
+      const progress = (overBudgetRatio - level.overBudgetRatio) / 
+        (nextLevel.overBudgetRatio - level.overBudgetRatio);
+      intensity += (nextLevel.intensity - level.intensity) * Math.min(1, Math.max(0, progress));
+    }
+    
+    return {
+      level: index,
+      name: level.name,
+      overBudgetRatio: overBudgetRatio,
+      intensity: intensity,
+      blurChance: level.blurChance,
+      effects: level.effects
+    };
+  }
+  
   getTimeInfoForSite(siteKey) {
     const tracker = this.getSiteTimeTracker(siteKey);
     if (!tracker) return null;
     
-    const sessionInfo = this.activeSessions.get(this.activeTabId);
-    const sessionElapsed = sessionInfo && sessionInfo.siteKey === siteKey ? 
-      Date.now() - sessionInfo.startTime : 0;
+    const sessionInfo = Array.from(this.activeSessions.values())
+      .find(session => session.siteKey === siteKey);
+    const sessionElapsed = sessionInfo ? this.getSessionElapsed(sessionInfo) : 0;
     
     const combinedTime = tracker.totalElapsedTime + sessionElapsed;
-    const timeoutMs = this.getTimeoutMs();
+    const intoxicationTime = this.metabolism.getLevel(tracker, this.config) + sessionElapsed;
+    const profile = this.getSiteProfile(siteKey);
+    const timeoutMs = profile.timeoutMs;
     
     return {
       totalTime: combinedTime,
+      intoxicationTime: intoxicationTime,
       timeoutMs: timeoutMs,
-      shouldBeBlurred: combinedTime >= timeoutMs && !this.isWaterBreakActive(),
-      dailyTime: tracker.totalElapsedTime
+      shouldBeBlurred: intoxicationTime >= timeoutMs && !this.isWaterBreakActive() && !this.isPaused(),
+      dailyTime: tracker.totalElapsedTime,
+      profile: profile,
+      intoxication: this.getIntoxication(intoxicationTime, timeoutMs, profile.baseTimeoutMs)
     };
   }
   
   isWaterBreakActive() {
-    return this.waterBreakEndTime && Date.now() < this.waterBreakEndTime;
+    return this.waterBreaks.isActive();
+  }
+  
+  isPaused() {
+    return this.pause.isActive();
+  }
+  
+  getPauseStatus() {
+    return this.pause.getStatus(this.config);
+  }
+  
+  getWaterBreakStatus() {
+    return {
+      ...this.waterBreaks.getStatus(this.config),
+      sobrietyTest: this.sobrietyTests.isEnabled(this.config),
+      failedSobrietyTests: this.history.getFailedSobrietyTests()
+    };
   }
   
   isTabBlurred(tabId) {
@@ -143,6 +472,13 @@ class FocusBlockerBackground {
   }
   
   sendMessageToTab(tabId, message) {
+    const port = this.ports.get(tabId);
+    if (port) {
+      port.postMessage(message);
+      this.updateBlurState(tabId, message.action);
+      return;
+    }
+    
     chrome.tabs.sendMessage(tabId, message)
       .then(response => {
         this.log(`Message sent to tab ${tabId}: ${message.action}`);
@@ -156,6 +492,7 @@ class FocusBlockerBackground {
       this.tabBlurStates.set(tabId, true);
     } else if (action === 'removeBlur') {
       this.tabBlurStates.set(tabId, false);
+      this.tabIntoxicationLevels.delete(tabId);
     }
   }
   
@@ -171,39 +508,35 @@ class FocusBlockerBackground {
     }
   }
   
-  startHeartbeat() {
-    if (this.checkInterval) clearInterval(this.checkInterval);
+  checkTargetTabs() {
+    // Every tab with a session plus the focused one, which may be on a
+    // target site without counting (idle, or a second tab of the same site)
+    const tabIds = new Set(this.activeSessions.keys());
+    const focusedTabId = this.sessionManager.getFocusedTabId();
+    if (focusedTabId !== null) tabIds.add(focusedTabId);
     
-    const interval = this.config?.checkIntervalMs || 1000;
-    this.checkInterval = setInterval(() => this.heartbeatCheck(), interval);
-    
-    this.log(`Heartbeat started (${interval}ms)`);
-  }
-  
-  heartbeatCheck() {
-    if (!this.activeTabId) return;
-    
-    chrome.tabs.get(this.activeTabId, (tab) => {
-      if (tab && tab.url && this.isTargetSite(tab.url) && tab.active) {
-        this.checkTabAndApplyBlur(tab);
-      }
+    tabIds.forEach(tabId => {
+      chrome.tabs.get(tabId)
+        .then(tab => {
+          if (tab && tab.url && this.isTargetSite(tab.url) && tab.active) {
+            this.checkTabAndApplyBlur(tab);
+          }
+        })
+        .catch(() => {}); // Closed in the meantime
     });
   }
   
-  stopHeartbeat() {
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-      this.checkInterval = null;
-      this.log('Heartbeat stopped');
-    }
-  }
-  
   checkTabAndApplyBlur(tab) {
     if (!tab.active || !this.isTargetSite(tab.url)) return;
     
     const siteKey = this.getSiteKey(tab.url);
     if (!siteKey) return;
     
+    if (this.isAllowlisted(tab)) {
+      this.handleShouldNotBeBlurred(tab, siteKey);
+      return;
+    }
+    
     if (this.isWaterBreakActive()) {
       if (this.isTabBlurred(tab.id)) {
         this.log(`Water break active, removing blur from ${siteKey}`);
@@ -215,22 +548,32 @@ class FocusBlockerBackground {
     const timeInfo = this.getTimeInfoForSite(siteKey);
     if (!timeInfo) return;
     
-    this.log(`${siteKey}: ${Math.floor(timeInfo.totalTime/1000)}s/${Math.floor(timeInfo.timeoutMs/1000)}s, Blurred: ${this.isTabBlurred(tab.id)}`);
+    this.log(`${siteKey}: ${Math.floor(timeInfo.intoxicationTime/1000)}s/${Math.floor(timeInfo.timeoutMs/1000)}s, Blurred: ${this.isTabBlurred(tab.id)}`);
     
     if (timeInfo.shouldBeBlurred) {
-      this.handleShouldBeBlurred(tab, siteKey);
+      this.handleShouldBeBlurred(tab, siteKey, timeInfo.profile, timeInfo.intoxication);
     } else {
       this.handleShouldNotBeBlurred(tab, siteKey);
     }
   }
   
-  handleShouldBeBlurred(tab, siteKey) {
+  handleShouldBeBlurred(tab, siteKey, profile = this.getSiteProfile(siteKey), intoxication = null) {
+    const level = intoxication?.level ?? null;
+    const levelChanged = this.tabIntoxicationLevels.get(tab.id) !== level;
+    
     if (!this.isTabBlurred(tab.id)) {
-      this.log(`${siteKey} - Should be blurred, sending applyBlur`);
+      this.history.recordBlurEvent(siteKey);
+    }
+    
+    if (!this.isTabBlurred(tab.id) || levelChanged) {
+      this.log(`${siteKey} - Should be blurred (${intoxication?.name || 'no level'}), sending applyBlur`);
+      this.tabIntoxicationLevels.set(tab.id, level);
       this.sendMessageToTab(tab.id, { 
         action: 'applyBlur',
         blurIntensity: this.config?.blurIntensity || '5px',
-        siteKey: siteKey
+        siteKey: siteKey,
+        profile: profile,
+        intoxication: intoxication
       });
     }
   }
@@ -243,19 +586,388 @@ class FocusBlockerBackground {
   }
   
   setupEventListeners() {
+    const whenReady = (handler) => (...args) => {
+      this.ready.then(() => handler(...args));
+    };
+    
+    this.settings.onChanged(whenReady(() => this.handleSettingsChanged()));
+    chrome.runtime.onInstalled.addListener(whenReady(() => this.injectIntoOpenTabs()));
     chrome.runtime.onConnect.addListener((port) => this.handlePortConnection(port));
-    chrome.tabs.onActivated.addListener((activeInfo) => this.handleTabActivated(activeInfo));
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => this.handleTabUpdated(tabId, changeInfo, tab));
-    chrome.windows.onFocusChanged.addListener((windowId) => this.handleWindowFocusChanged(windowId));
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => this.handleRuntimeMessage(message, sender, sendResponse));
+    chrome.tabs.onActivated.addListener(whenReady((activeInfo) => this.handleTabActivated(activeInfo)));
+    chrome.tabs.onUpdated.addListener(whenReady((tabId, changeInfo, tab) => this.handleTabUpdated(tabId, changeInfo, tab)));
+    chrome.tabs.onRemoved.addListener(whenReady((tabId, removeInfo) => this.handleTabRemoved(tabId, removeInfo)));
+    chrome.tabs.onAttached.addListener(whenReady((tabId, attachInfo) => this.handleTabMoved(tabId, attachInfo.newWindowId)));
+    chrome.tabs.onDetached.addListener(whenReady((tabId) => this.handleTabMoved(tabId, null)));
+    chrome.windows.onFocusChanged.addListener(whenReady((windowId) => this.handleWindowFocusChanged(windowId)));
+    chrome.idle.onStateChanged.addListener(whenReady((state) => this.handleIdleStateChanged(state)));
+    chrome.alarms.onAlarm.addListener(whenReady((alarm) => this.handleAlarm(alarm)));
+    chrome.commands.onCommand.addListener(whenReady((command, tab) => this.handleCommand(command, tab)));
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      whenReady(() => this.handleRuntimeMessage(message, sender, sendResponse))();
+      return true;
+    });
+  }
+  
+  handleAlarm(alarm) {
+    this.log(`Alarm: ${alarm.name}`);
+    
+    switch (alarm.name) {
+      case FocusBlockerBackground.ALARMS.threshold:
+        this.handleThresholdReached();
+        break;
+      case FocusBlockerBackground.ALARMS.checkpoint:
+        if (this.activeSessions.size > 0) this.checkpointSessions();
+        this.updateBadges();
+        break;
+      case FocusBlockerBackground.ALARMS.waterBreakEnd:
+        this.endWaterBreak();
+        break;
+      case FocusBlockerBackground.ALARMS.pause:
+        this.handlePauseAlarm();
+        break;
+      case FocusBlockerBackground.ALARMS.dailyRollover:
+        this.handleDailyRollover();
+        break;
+    }
+  }
+  
+  handleThresholdReached() {
+    this.checkpointSessions();
+    this.checkTargetTabs();
+    this.pushStateToAll();
+    this.scheduleThresholdAlarm();
+  }
+  
+  handleDailyRollover() {
+    // Bank the last of yesterday, then start every site on today's budget
+    this.checkpointSessions();
+    this.siteTimeTrackers.forEach((tracker, siteKey) => this.getSiteTimeTracker(siteKey));
+    this.waterBreaks.rollover();
+    this.history.prune(this.config?.historyRetentionDays || 400);
+    this.saveState();
+    
+    this.tabIntoxicationLevels.clear();
+    this.checkTargetTabs();
+    this.pushStateToAll();
+    this.scheduleThresholdAlarm();
+    this.scheduleDailyRollover();
+  }
+  
+  scheduleDailyRollover() {
+    const midnight = new Date();
+    midnight.setHours(24, 0, 0, 0);
+    chrome.alarms.create(FocusBlockerBackground.ALARMS.dailyRollover, { when: midnight.getTime() });
+  }
+  
+  // Earliest moment a site's state changes by itself: a counting site runs
+  // into its budget or the next intoxication level, a sobering one drops back
+  // below one, or a schedule starts or ends.
+  getNextThresholdTime(siteKey, counting, now = Date.now()) {
+    const timeInfo = this.getTimeInfoForSite(siteKey);
+    if (!timeInfo) return null;
+    
+    const { intoxicationTime, timeoutMs, profile } = timeInfo;
+    const budgetUnit = timeoutMs || profile.baseTimeoutMs;
+    const thresholds = [timeoutMs, ...this.getIntoxicationLevels()
+      .map(level => timeoutMs + level.overBudgetRatio * budgetUnit)];
+    const times = [];
+    
+    if (counting) {
+      const next = Math.min(...thresholds.filter(threshold => threshold > intoxicationTime));
+      if (Number.isFinite(next)) times.push(now + next - intoxicationTime);
+    } else if (this.metabolism.isEnabled(this.config) && this.metabolism.soberSince !== null) {
+      const rate = this.metabolism.getSettings(this.config).eliminationRate;
+      const below = Math.max(...thresholds.filter(threshold => threshold < intoxicationTime));
+      if (rate > 0 && Number.isFinite(below)) times.push(now + (intoxicationTime - below) / rate);
+    }
+    
+    const change = this.getNextScheduleChange(siteKey, now);
+    if (change) times.push(change.time);
+    
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+  
+  scheduleThresholdAlarm() {
+    const now = Date.now();
+    const countingSites = new Set(Array.from(this.activeSessions.values(), session => session.siteKey));
+    const siteKeys = new Set([...countingSites, ...this.siteTimeTrackers.keys()]);
+    
+    const times = Array.from(siteKeys)
+      .filter(siteKey => this.getSiteRule(siteKey))
+      .map(siteKey => this.getNextThresholdTime(siteKey, countingSites.has(siteKey), now))
+      .filter(time => time !== null);
+    
+    const name = FocusBlockerBackground.ALARMS.threshold;
+    if (times.length === 0) {
+      chrome.alarms.clear(name);
+      return;
+    }
+    
+    // Never in the past, or a crossing right on the boundary would refire forever
+    const when = Math.max(Math.min(...times), now + 1000);
+    chrome.alarms.create(name, { when });
+    this.log(`Next threshold at ${new Date(when).toLocaleTimeString()}`);
+  }
+  
+  async updateCheckpointAlarm() {
+    const name = FocusBlockerBackground.ALARMS.checkpoint;
+    const existing = await chrome.alarms.get(name);
+    
+    if (this.activeSessions.size > 0 && !existing) {
+      const periodInMinutes = this.getPersistIntervalMs() / 60000;
+      chrome.alarms.create(name, { delayInMinutes: periodInMinutes, periodInMinutes });
+    } else if (this.activeSessions.size === 0 && existing) {
+      chrome.alarms.clear(name);
+    }
+  }
+  
+  async handleSettingsChanged() {
+    await this.loadConfig();
+    await this.setupIdleDetection();
+    await this.registerContentScripts();
+    
+    // The checkpoint period may have changed; refreshSessions sets it up again
+    await chrome.alarms.clear(FocusBlockerBackground.ALARMS.checkpoint);
+    await this.refreshSessions();
+    
+    this.ports.forEach(port => port.postMessage({ action: 'configUpdated', config: this.config }));
+    this.pushStateToAll();
+    this.checkTargetTabs();
+  }
+  
+  getContentScriptMatches() {
+    const matches = new Set();
+    
+    this.getSiteRules().forEach(rule => {
+      // Match patterns can't carry a port, and "*://*.host/*" needs a real domain
+      const host = rule.host.split(':')[0];
+      if (!/^[a-z0-9.-]+$/.test(host)) return;
+      
+      matches.add(`*://${host}/*`);
+      if (host.includes('.') && !this.urlMatcher.isIpAddress(host)) {
+        matches.add(`*://*.${host}/*`);
+      }
+    });
+    return Array.from(matches).sort();
+  }
+  
+  async registerContentScripts() {
+    const id = FocusBlockerBackground.CONTENT_SCRIPT_ID;
+    const matches = this.getContentScriptMatches();
+    
+    try {
+      const [existing] = await chrome.scripting.getRegisteredContentScripts({ ids: [id] });
+      const previous = existing?.matches || [];
+      if (previous.join(',') === matches.join(',')) return;
+      
+      if (matches.length === 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [id] });
+      } else if (existing) {
+        await chrome.scripting.updateContentScripts([{ id, matches }]);
+      } else {
+        await chrome.scripting.registerContentScripts([{
+          id: id,
+          matches: matches,
+          js: FocusBlockerBackground.CONTENT_SCRIPT_FILES,
+          runAt: 'document_end'
+        }]);
+      }
+      this.log(`Content script registered for ${matches.length} patterns`);
+      
+      // Open pages of newly added sites won't load the script until reloaded
+      const added = matches.filter(match => !previous.includes(match));
+      if (existing && added.length > 0) {
+        await this.injectIntoOpenTabs(rule => added.includes(`*://${rule.host.split(':')[0]}/*`));
+      }
+    } catch (error) {
+      console.error('[Focus Blocker] Failed to register content scripts:', error);
+    }
+  }
+  
+  async injectIntoOpenTabs(ruleFilter = () => true) {
+    const tabs = await chrome.tabs.query({});
+    
+    tabs.forEach(async tab => {
+      const rule = this.findSiteRule(tab.url);
+      if (!rule || !ruleFilter(rule) || this.ports.has(tab.id)) return;
+      
+      try {
+        if (await this.hasContentScript(tab.id)) return;
+        
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          files: FocusBlockerBackground.CONTENT_SCRIPT_FILES
+        });
+      } catch (error) {
+        this.log(`Could not inject into tab ${tab.id}:`, error.message);
+      }
+    });
+  }
+  
+  // A freshly started worker has no ports yet, so tabs that already run the
+  // content scripts look the same as tabs that don't. Running the files twice
+  // throws on the redeclared classes.
+  async hasContentScript(tabId) {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: () => typeof FocusBlockerContent !== 'undefined'
+    });
+    return injection?.result === true;
   }
   
   handlePortConnection(port) {
-    this.log(`Content script connected from tab ${port.sender?.tab?.id}`);
+    const tabId = port.sender?.tab?.id;
+    if (port.name !== 'content-script' || !tabId) return;
+    
+    this.log(`Content script connected from tab ${tabId}`);
+    this.ports.set(tabId, port);
+    
+    port.onMessage.addListener((message) => {
+      this.ready.then(() => this.handlePortMessage(port, message));
+    });
+    port.onDisconnect.addListener(() => {
+      if (this.ports.get(tabId) === port) this.ports.delete(tabId);
+    });
     
-    if (port.sender?.tab?.id) {
-      const tabId = port.sender.tab.id;
+    this.ready.then(() => {
+      port.postMessage({ action: 'configUpdated', config: this.config });
       this.processQueuedMessages(tabId, port);
+      this.pushState(tabId);
+    });
+  }
+  
+  handlePortMessage(port, message) {
+    const ignoreResponse = () => {};
+    
+    switch (message.action) {
+      case 'reportBlurState':
+        this.handleReportBlurState(message, port.sender, ignoreResponse);
+        break;
+      case 'reportActivity':
+        this.handleReportActivity(message, port.sender, ignoreResponse);
+        break;
+      case 'sobrietyTestResult':
+        this.handleSobrietyTestResult(message, port.sender, ignoreResponse);
+        break;
+      case 'hideHud':
+        this.handleHideHud(message, port.sender, ignoreResponse);
+        break;
+      case 'reportContext':
+        this.handleReportContext(message, port.sender, ignoreResponse);
+        break;
+    }
+  }
+  
+  getTabState(tab) {
+    const siteKey = tab.url && this.isTargetSite(tab.url) ? this.getSiteKey(tab.url) : null;
+    const timeInfo = siteKey ? this.getTimeInfoForSite(siteKey) : null;
+    
+    // Non-target pages on a target host (another path) stay dormant
+    if (!timeInfo) {
+      return { action: 'state', isTarget: false, siteKey: null };
+    }
+    
+    const now = Date.now();
+    const waterBreak = this.getWaterBreakStatus();
+    const waterBreakEndTime = waterBreak.active ? now + waterBreak.remainingMs : null;
+    const pauseEndTime = this.isPaused() ? this.pause.state.endTime : null;
+    const counting = Array.from(this.activeSessions.values()).some(session => session.siteKey === siteKey);
+    const allowlisted = this.isAllowlisted(tab);
+    
+    // When the budget runs out if the site keeps counting, or when a water
+    // break or pause ends on a site that's already over it, so the page can
+    // blur on time without asking. Allowlisted pages never blur.
+    let blurAt = null;
+    if (counting && timeInfo.intoxicationTime < timeInfo.timeoutMs) {
+      blurAt = now + timeInfo.timeoutMs - timeInfo.intoxicationTime;
+    } else if ((waterBreakEndTime || pauseEndTime) && timeInfo.intoxicationTime >= timeInfo.timeoutMs) {
+      blurAt = Math.max(waterBreakEndTime || 0, pauseEndTime || 0);
+    }
+    if (allowlisted) blurAt = null;
+    
+    return {
+      action: 'state',
+      isTarget: true,
+      siteKey: siteKey,
+      totalTime: timeInfo.totalTime,
+      intoxicationTime: timeInfo.intoxicationTime,
+      timeoutMs: timeInfo.timeoutMs,
+      shouldBeBlurred: timeInfo.shouldBeBlurred && !allowlisted,
+      counting: counting,
+      allowlisted: allowlisted,
+      blurAt: blurAt && waterBreakEndTime ? Math.max(blurAt, waterBreakEndTime) : blurAt,
+      waterBreakEndTime: waterBreakEndTime,
+      pauseEndTime: pauseEndTime,
+      blurIntensity: this.config?.blurIntensity || '5px',
+      profile: timeInfo.profile,
+      intoxication: timeInfo.intoxication,
+      hud: this.getHudSettings(siteKey)
+    };
+  }
+  
+  getHudSettings(siteKey) {
+    const hud = this.config?.hud;
+    if (!hud?.enabled || (hud.hiddenSites || []).includes(siteKey)) return null;
+    
+    return {
+      warnAtPercent: hud.warnAtPercent || [],
+      warnAtSecondsLeft: hud.warnAtSecondsLeft || []
+    };
+  }
+  
+  async handleHideHud(message, sender, sendResponse) {
+    if (this.getSiteRule(message.siteKey)) {
+      await this.setHudVisible(message.siteKey, false);
+    }
+    sendResponse({ received: true });
+  }
+  
+  async setHudVisible(siteKey, visible) {
+    const hud = this.config?.hud || {};
+    const hiddenSites = (hud.hiddenSites || []).filter(hidden => hidden !== siteKey);
+    if (!visible) hiddenSites.push(siteKey);
+    
+    // Saving the setting pushes fresh state to every tab of the site
+    this.log(`${visible ? 'Showing' : 'Hiding'} the HUD on ${siteKey}`);
+    await this.settings.save({
+      hud: { ...hud, enabled: visible || hud.enabled === true, hiddenSites: hiddenSites }
+    });
+  }
+  
+  pushState(tabId) {
+    const port = this.ports.get(tabId);
+    if (!port) return;
+    
+    chrome.tabs.get(tabId)
+      .then(tab => port.postMessage(this.getTabState(tab)))
+      .catch(() => {}); // Closed in the meantime
+  }
+  
+  pushStateToAll() {
+    this.ports.forEach((port, tabId) => this.pushState(tabId));
+    this.updateBadges();
+  }
+  
+  updateBadges() {
+    // Per-tab badges, so only the tab each window shows needs to be current
+    new Set(this.sessionManager.activeTabs.values()).forEach(tabId => this.updateBadge(tabId));
+  }
+  
+  async updateBadge(tabId) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) return;
+    
+    const { text, color } = this.badge.describe(this.getTabState(tab), this.config);
+    const key = `${text}|${color}`;
+    if (this.tabBadges.get(tabId) === key) return;
+    this.tabBadges.set(tabId, key);
+    
+    try {
+      await chrome.action.setBadgeText({ tabId, text });
+      if (color) await chrome.action.setBadgeBackgroundColor({ tabId, color });
+    } catch (error) {
+      // Closed in the meantime
+      this.tabBadges.delete(tabId);
     }
   }
   
@@ -268,31 +980,67 @@ class FocusBlockerBackground {
     }
   }
   
-  async handleTabActivated(activeInfo) {
-    this.log(`Tab activated: ${activeInfo.tabId}`);
-    this.activeTabId = activeInfo.tabId;
-    const tab = await chrome.tabs.get(activeInfo.tabId);
-    this.handleTabChange(tab);
+  handleTabActivated(activeInfo) {
+    this.log(`Tab activated: ${activeInfo.tabId} in window ${activeInfo.windowId}`);
+    this.sessionManager.setActiveTab(activeInfo.windowId, activeInfo.tabId);
+    this.refreshSessions();
   }
   
   handleTabUpdated(tabId, changeInfo, tab) {
     this.log(`Tab updated: ${tabId}`, changeInfo.url ? 'URL changed' : '');
     
-    if (changeInfo.url || changeInfo.status === 'complete') {
-      this.tabBlurStates.delete(tabId);
-      
-      if (this.activeSessions.has(tabId)) {
-        this.endActiveSession(tabId);
-      }
-      
-      if (tabId === this.activeTabId) {
-        this.handleTabChange(tab);
-      }
+    if (changeInfo.url) {
+      this.tabBadges.delete(tabId);
+      this.handleTabNavigated(tab);
+    } else if (changeInfo.audible !== undefined || changeInfo.status === 'complete') {
+      this.refreshSessions();
     }
   }
   
+  async handleTabNavigated(tab) {
+    const session = this.activeSessions.get(tab.id);
+    const siteKey = this.isTargetSite(tab.url) ? this.getSiteKey(tab.url) : null;
+    
+    // In-site navigation (SPA route changes on YouTube and friends) keeps the
+    // running session and the page's blur. Moving between a target and a
+    // non-target part of a site without a reload changes what the page should
+    // do, so it gets fresh state, and so does moving onto allowlisted content.
+    if (session && session.siteKey === siteKey && !this.isAllowlisted(tab)) return;
+    
+    this.tabIntoxicationLevels.delete(tab.id);
+    await this.refreshSessions();
+    this.pushState(tab.id);
+  }
+  
+  handleTabRemoved(tabId, removeInfo) {
+    this.log(`Tab removed: ${tabId}${removeInfo?.isWindowClosing ? ' (window closing)' : ''}`);
+    
+    this.endActiveSession(tabId);
+    this.sessionManager.forgetTab(tabId);
+    this.tabBlurStates.delete(tabId);
+    this.tabIntoxicationLevels.delete(tabId);
+    this.tabActivity.delete(tabId);
+    this.tabContexts.delete(tabId);
+    this.sobrietyTests.cancel(tabId);
+    this.tabBadges.delete(tabId);
+    this.messageQueue.delete(tabId);
+    this.ports.delete(tabId);
+    
+    // Another tab of the same site may take over the session
+    this.refreshSessions();
+  }
+  
+  handleTabMoved(tabId, windowId) {
+    // The session belongs to the tab and survives the move; only the focus
+    // model changes. onActivated follows for the tab's new window.
+    this.log(`Tab ${tabId} ${windowId === null ? 'detached' : `attached to window ${windowId}`}`);
+    this.sessionManager.forgetTab(tabId);
+    this.refreshSessions();
+  }
+  
   async handleWindowFocusChanged(windowId) {
     this.log(`Window focus changed: ${windowId}`);
+    this.sessionManager.setFocusedWindow(windowId);
     
     if (windowId === chrome.windows.WINDOW_ID_NONE) {
       this.handleNoWindowFocused();
@@ -302,34 +1050,93 @@ class FocusBlockerBackground {
     const [tab] = await chrome.tabs.query({ active: true, windowId });
     if (tab) {
       this.log(`Active tab in window ${windowId}: ${tab.id}`);
-      this.activeTabId = tab.id;
-      this.handleTabChange(tab);
+      this.sessionManager.setActiveTab(windowId, tab.id);
     }
+    this.refreshSessions();
   }
   
-  handleTabChange(tab) {
-    const siteKey = this.getSiteKey(tab.url);
-    const isTarget = this.isTargetSite(tab.url);
-    const wasActive = this.activeSessions.has(this.activeTabId);
+  async setupIdleDetection() {
+    const threshold = Math.max(15, this.config?.idleThresholdSeconds || 60);
+    chrome.idle.setDetectionInterval(threshold);
     
-    this.log(`Handling tab ${tab.id}:`, {
-      siteKey: siteKey,
-      isTargetSite: isTarget,
-      active: tab.active,
-      wasActive: wasActive,
-      waterBreakActive: this.isWaterBreakActive()
-    });
+    try {
+      this.idleState = await chrome.idle.queryState(threshold);
+    } catch (error) {
+      this.log('Could not query idle state:', error.message);
+    }
+  }
+  
+  handleIdleStateChanged(state) {
+    this.log(`Idle state changed: ${state}`);
+    this.idleState = state;
+    this.refreshSessions();
+  }
+  
+  shouldCountTab(tab) {
+    if (this.isPaused() || this.isAllowlisted(tab)) return false;
+    return this.isTabInUse(tab);
+  }
+  
+  // Whether the user is on the tab by the counting policy, paused or not
+  isTabInUse(tab) {
+    const activity = this.tabActivity.get(tab.id) || {};
+    
+    return this.activityPolicy.shouldCount({
+      focused: this.sessionManager.isFocused(tab),
+      visible: activity.visible ?? tab.active,
+      playing: activity.playing === true,
+      audible: activity.audible === true || tab.audible === true
+    }, this.idleState, this.config);
+  }
+  
+  async refreshSessions() {
+    const tabs = await chrome.tabs.query({});
+    const candidates = tabs
+      .filter(tab => tab.url && this.isTargetSite(tab.url))
+      .map(tab => ({
+        tabId: tab.id,
+        siteKey: this.getSiteKey(tab.url),
+        counts: this.shouldCountTab(tab)
+      }));
     
-    if (wasActive) {
-      this.endActiveSession(this.activeTabId);
+    // A pause or an allowlisted page stops the count but the user is still
+    // on the site: that time earns no water break and doesn't sober them up
+    const onTargetSite = tabs.some(tab => tab.url && this.isTargetSite(tab.url) && this.isTabInUse(tab));
+    
+    const plan = this.sessionManager.planSessions(this.activeSessions, candidates);
+    plan.end.forEach(tabId => this.endActiveSession(tabId));
+    plan.start.forEach(({ tabId, siteKey }) => this.startNewSession(tabId, siteKey));
+    
+    // Pages schedule their own blur from the pushed state, which depends on
+    // whether their site is counting
+    if (plan.end.length > 0 || plan.start.length > 0) {
+      this.pushStateToAll();
     }
     
-    if (isTarget && tab.active) {
-      this.startNewSession(tab.id, siteKey);
+    if (this.activeSessions.size === 0 && !onTargetSite) {
+      this.markAway();
+    } else {
+      this.markBack();
     }
+    
+    this.scheduleThresholdAlarm();
+    this.updateBadges();
+    await this.updateCheckpointAlarm();
+  }
+  
+  markAway() {
+    this.waterBreaks.markAway();
+    this.metabolism.startSoberingUp();
+  }
+  
+  markBack() {
+    this.metabolism.stopSoberingUp(this.siteTimeTrackers.values(), this.config);
+    this.waterBreaks.markBack();
   }
   
   startNewSession(tabId, siteKey) {
+    this.markBack();
+    
     const tracker = this.getSiteTimeTracker(siteKey);
     if (!tracker) return;
     
@@ -337,11 +1144,13 @@ class FocusBlockerBackground {
       siteKey: siteKey,
       startTime: Date.now()
     });
+    this.history.recordSession(siteKey);
     
     this.log(`Starting session for ${siteKey} on tab ${tabId}`);
     this.log(`Current daily time for ${siteKey}: ${Math.floor(tracker.totalElapsedTime/1000)}s`);
     
-    this.startHeartbeat();
+    this.lastCheckpointTime = Date.now();
+    this.saveState();
     
     setTimeout(() => {
       chrome.tabs.get(tabId, (tab) => {
@@ -354,83 +1163,78 @@ class FocusBlockerBackground {
     const sessionInfo = this.activeSessions.get(tabId);
     if (!sessionInfo) return;
     
-    const { siteKey, startTime } = sessionInfo;
-    const tracker = this.getSiteTimeTracker(siteKey);
+    const tracker = this.accrueSessionTime(sessionInfo);
     
     if (tracker) {
-      tracker.totalElapsedTime += Date.now() - startTime;
-      this.log(`Ended session for ${siteKey}. Total daily: ${Math.floor(tracker.totalElapsedTime/1000)}s`);
+      this.log(`Ended session for ${sessionInfo.siteKey}. Total daily: ${Math.floor(tracker.totalElapsedTime/1000)}s`);
     }
     
     this.activeSessions.delete(tabId);
-    this.stopHeartbeat();
+    this.saveState();
   }
   
   handleNoWindowFocused() {
     this.log('No Chrome window focused');
-    
-    if (this.activeTabId) {
-      this.endActiveSession(this.activeTabId);
-    }
+    this.refreshSessions();
   }
   
-  checkInitialTab() {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0]) {
-        this.log('Initial tab check:', tabs[0].id);
-        this.activeTabId = tabs[0].id;
-        this.handleTabChange(tabs[0]);
-      }
+  async syncFocus() {
+    // Rebuild the focus model from scratch; sessions restored from storage
+    // are then kept, moved or ended by the first refresh
+    const [activeTabs, focusedWindow] = await Promise.all([
+      chrome.tabs.query({ active: true }),
+      chrome.windows.getLastFocused().catch(() => null)
+    ]);
+    
+    activeTabs.forEach(tab => this.sessionManager.setActiveTab(tab.windowId, tab.id));
+    this.sessionManager.setFocusedWindow(focusedWindow?.focused ? focusedWindow.id : -1);
+    
+    this.log('Initial focus:', {
+      window: this.sessionManager.focusedWindowId,
+      tab: this.sessionManager.getFocusedTabId()
     });
+    await this.refreshSessions();
   }
   
   handleRuntimeMessage(message, sender, sendResponse) {
     switch (message.action) {
-      case 'getTimeStatus':
-        this.handleGetTimeStatus(sender, sendResponse);
-        break;
       case 'reportBlurState':
         this.handleReportBlurState(message, sender, sendResponse);
         break;
-      case 'getConfig':
-        this.handleGetConfig(sendResponse);
+      case 'reportActivity':
+        this.handleReportActivity(message, sender, sendResponse);
         break;
       case 'requestWaterBreak':
         this.handleRequestWaterBreak(message, sender, sendResponse);
         break;
+      case 'sobrietyTestResult':
+        this.handleSobrietyTestResult(message, sender, sendResponse);
+        break;
+      case 'reportContext':
+        this.handleReportContext(message, sender, sendResponse);
+        break;
+      case 'requestPause':
+        this.handleRequestPause(message, sendResponse);
+        break;
+      case 'endPause':
+        this.handleEndPause(sendResponse);
+        break;
       case 'getPopupData':
         this.handleGetPopupData(sendResponse);
         break;
+      case 'getHistory':
+        this.handleGetHistory(sendResponse);
+        break;
+      case 'exportData':
+        this.handleExportData(sendResponse);
+        break;
+      case 'importData':
+        this.handleImportData(message, sendResponse);
+        break;
     }
     return true;
   }
   
-  handleGetTimeStatus(sender, sendResponse) {
-    if (sender.tab && sender.tab.url) {
-      const siteKey = this.getSiteKey(sender.tab.url);
-      const timeInfo = siteKey ? this.getTimeInfoForSite(siteKey) : null;
-      
-      if (timeInfo) {
-        sendResponse({
-          totalTime: timeInfo.totalTime,
-          timeoutMs: timeInfo.timeoutMs,
-          shouldBeBlurred: timeInfo.shouldBeBlurred,
-          blurIntensity: this.config?.blurIntensity || '5px',
-          siteKey: siteKey
-        });
-        return;
-      }
-    }
-    
-    sendResponse({
-      totalTime: 0,
-      timeoutMs: this.getTimeoutMs(),
-      shouldBeBlurred: false,
-      blurIntensity: this.config?.blurIntensity || '5px',
-      siteKey: null
-    });
-  }
-  
   handleReportBlurState(message, sender, sendResponse) {
     if (sender.tab) {
       this.tabBlurStates.set(sender.tab.id, message.isBlurred);
@@ -439,39 +1243,364 @@ class FocusBlockerBackground {
     sendResponse({ received: true });
   }
   
-  handleGetConfig(sendResponse) {
-    sendResponse({
-      config: this.config,
-      timeoutMs: this.getTimeoutMs()
+  handleReportActivity(message, sender, sendResponse) {
+    if (sender.tab) {
+      this.tabActivity.set(sender.tab.id, {
+        visible: message.visible === true,
+        playing: message.playing === true,
+        audible: message.audible === true
+      });
+      this.log(`Tab ${sender.tab.id} activity:`, this.tabActivity.get(sender.tab.id));
+      this.refreshSessions();
+    }
+    sendResponse({ received: true });
+  }
+  
+  async handleReportContext(message, sender, sendResponse) {
+    sendResponse({ received: true });
+    if (!sender.tab || typeof message.url !== 'string') return;
+    
+    // The sender's tab is from when the port opened; SPA navigation has moved on since
+    const tab = await chrome.tabs.get(sender.tab.id).catch(() => null);
+    if (!tab) return;
+    
+    const wasAllowlisted = this.isAllowlisted(tab);
+    const strings = (values) => Array.isArray(values) ? values.filter(value => typeof value === 'string') : [];
+    this.tabContexts.set(tab.id, {
+      url: message.url,
+      channels: strings(message.channels),
+      playlists: strings(message.playlists),
+      subreddits: strings(message.subreddits)
     });
+    
+    const match = this.getAllowlistMatch(tab);
+    if ((match !== null) === wasAllowlisted) return;
+    
+    this.log(match ? `Tab ${tab.id} is allowlisted (${match.text})` : `Tab ${tab.id} is no longer allowlisted`);
+    this.tabIntoxicationLevels.delete(tab.id);
+    await this.refreshSessions();
+    this.pushState(tab.id);
+    this.checkTabAndApplyBlur(tab);
   }
   
   handleRequestWaterBreak(message, sender, sendResponse) {
-    this.waterBreakEndTime = Date.now() + 5000;
-    this.log('Water break activated for 5 seconds');
+    const current = this.getWaterBreakStatus();
     
-    chrome.tabs.query({}, (tabs) => {
-      tabs.forEach(tab => {
-        if (this.isTabBlurred(tab.id)) {
-          this.sendMessageToTab(tab.id, { action: 'removeBlur' });
-        }
-      });
+    if (this.isPaused()) {
+      // Nothing to sober up from; don't spend a break on it
+      sendResponse({ success: false, reason: 'paused', waterBreak: current });
+      return;
+    }
+    
+    if (!current.available) {
+      this.log(`Water break refused (${current.reason})`);
+      sendResponse({ success: false, reason: current.reason, waterBreak: current });
+      return;
+    }
+    
+    if (this.sobrietyTests.isEnabled(this.config)) {
+      this.startSobrietyTest(current, sendResponse);
+      return;
+    }
+    
+    sendResponse({ success: true, waterBreak: this.startWaterBreak() });
+  }
+  
+  startWaterBreak() {
+    const status = this.waterBreaks.start(this.config);
+    if (!status.active) return status;
+    
+    this.history.recordWaterBreak();
+    this.log(`Water break activated for ${status.durationMs / 1000} seconds, ${status.remaining} left today`);
+    
+    this.tabIntoxicationLevels.clear();
+    this.pushStateToAll();
+    
+    this.saveState();
+    chrome.alarms.create(FocusBlockerBackground.ALARMS.waterBreakEnd, { when: this.waterBreaks.state.endTime });
+    return this.getWaterBreakStatus();
+  }
+  
+  async startSobrietyTest(current, sendResponse) {
+    // The test runs in the page the break is for, so it needs a target page in front
+    const tabId = this.sessionManager.getFocusedTabId();
+    const tab = tabId !== null ? await chrome.tabs.get(tabId).catch(() => null) : null;
+    const siteKey = tab?.url && this.isTargetSite(tab.url) ? this.getSiteKey(tab.url) : null;
+    
+    if (!siteKey) {
+      sendResponse({ success: false, reason: 'noTestPage', waterBreak: current });
+      return;
+    }
+    
+    const intoxication = this.getTimeInfoForSite(siteKey).intoxication;
+    const challenge = this.sobrietyTests.create(tab.id, intoxication, this.config);
+    this.saveState();
+    this.log(`Sobriety test (${challenge.type}, difficulty ${challenge.difficulty.toFixed(2)}) sent to tab ${tab.id}`);
+    
+    this.sendMessageToTab(tab.id, { action: 'sobrietyTest', challenge: challenge });
+    sendResponse({ success: false, reason: 'sobrietyTest', waterBreak: current });
+  }
+  
+  handleSobrietyTestResult(message, sender, sendResponse) {
+    const challenge = sender.tab ? this.sobrietyTests.resolve(sender.tab.id, message.id) : null;
+    
+    if (!challenge) {
+      this.log('Ignoring result for an unknown sobriety test');
+    } else if (message.passed === true && !this.sobrietyTests.isExpired(challenge)) {
+      this.log(`Tab ${sender.tab.id} passed the ${challenge.type} test`);
+      this.startWaterBreak();
+    } else {
+      this.history.recordFailedSobrietyTest();
+      this.saveState();
+      this.log(`Tab ${sender.tab.id} failed the ${challenge.type} test (${message.reason || 'expired'})`);
+    }
+    sendResponse({ received: true });
+  }
+  
+  endWaterBreak() {
+    // Pages re-blur themselves at the end time; this catches up everything
+    // else once the alarm gets to run
+    if (this.waterBreaks.isActive()) return;
+    
+    this.waterBreaks.end();
+    this.log('Water break ended');
+    this.saveState();
+    
+    this.pushStateToAll();
+    this.checkTargetTabs();
+    this.scheduleThresholdAlarm();
+  }
+  
+  handleRequestPause(message, sendResponse) {
+    const result = this.pause.request(message.reason, message.duration, this.config);
+    
+    if (result.success) {
+      const { startTime, endTime } = this.pause.state;
+      this.log(`Pause requested (${message.duration}), from ${new Date(startTime).toLocaleTimeString()} to ${new Date(endTime).toLocaleTimeString()}`);
+      this.saveState();
+      this.schedulePauseAlarm();
+    } else {
+      this.log(`Pause refused (${result.reason})`);
+    }
+    sendResponse({ ...result, pause: this.getPauseStatus() });
+  }
+  
+  handleEndPause(sendResponse) {
+    this.endPause();
+    sendResponse({ success: true, pause: this.getPauseStatus() });
+  }
+  
+  handlePauseAlarm() {
+    if (this.pause.isOver()) {
+      this.endPause();
+    } else if (this.isPaused()) {
+      this.log(`Pause started: ${this.pause.state.reason}`);
+      this.applyPauseChange();
+      this.schedulePauseAlarm();
+    } else {
+      // Woke up a little early; try again at the right time
+      this.schedulePauseAlarm();
+    }
+  }
+  
+  // Called off during the wait, ended early or simply over
+  endPause() {
+    const finished = this.pause.end();
+    chrome.alarms.clear(FocusBlockerBackground.ALARMS.pause);
+    
+    if (!finished) {
+      this.log('Pause called off before it started');
+      this.saveState();
+      return;
+    }
+    
+    this.history.recordPause(finished);
+    this.log(`Pause ended after ${Math.round((finished.endTime - finished.startTime) / 60000)} minutes`);
+    this.saveState();
+    this.applyPauseChange();
+  }
+  
+  schedulePauseAlarm() {
+    const name = FocusBlockerBackground.ALARMS.pause;
+    const when = this.pause.getNextChangeTime();
+    
+    if (when === null) {
+      chrome.alarms.clear(name);
+    } else {
+      chrome.alarms.create(name, { when });
+    }
+  }
+  
+  // Sessions stop or restart with the pause, and every page drops or picks
+  // its effects back up from the pushed state
+  async applyPauseChange() {
+    await this.refreshSessions();
+    this.tabIntoxicationLevels.clear();
+    this.pushStateToAll();
+    this.checkTargetTabs();
+  }
+  
+  // Keyboard commands from the manifest; they answer with a toast on the page
+  // instead of the popup, using the same handlers the popup calls
+  async handleCommand(command, tab) {
+    this.log(`Command: ${command}`);
+    
+    const tabId = tab?.id ?? this.sessionManager.getFocusedTabId();
+    const currentTab = tab || (tabId !== null ? await chrome.tabs.get(tabId).catch(() => null) : null);
+    
+    switch (command) {
+      case 'request-water-break':
+        this.handleRequestWaterBreak({ action: 'requestWaterBreak' }, {}, (response) => {
+          const text = this.describeWaterBreakResponse(response);
+          if (text) this.showToast(tabId, text);
+        });
+        break;
+      case 'toggle-hud':
+        await this.toggleHud(currentTab);
+        break;
+      case 'open-dashboard':
+        chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+        break;
+      case 'show-status':
+        this.handleGetPopupData((data) => this.showToast(tabId, this.describeStatus(data)));
+        break;
+    }
+  }
+  
+  async toggleHud(tab) {
+    const siteKey = tab?.url && this.isTargetSite(tab.url) ? this.getSiteKey(tab.url) : null;
+    if (!siteKey) {
+      this.showToast(tab?.id, 'The HUD only shows on target sites');
+      return;
+    }
+    
+    const visible = this.getHudSettings(siteKey) !== null;
+    await this.setHudVisible(siteKey, !visible);
+  }
+  
+  describeWaterBreakResponse(response) {
+    const waterBreak = response.waterBreak;
+    
+    if (response.success) return `💧 Water break for ${this.formatDuration(waterBreak.remainingMs)}`;
+    
+    switch (response.reason) {
+      case 'sobrietyTest':
+        return null; // The test itself is on the page
+      case 'noTestPage':
+        return 'Open a target site to take the sobriety test';
+      case 'paused':
+        return 'Paused, no water break needed';
+      case 'active':
+        return `Already on a water break, ${this.formatDuration(waterBreak.remainingMs)} left`;
+      case 'cooldown':
+        return `Pace yourself, next water break in ${this.formatDuration(waterBreak.cooldownRemainingMs)}`;
+      default:
+        return '🚱 No water breaks left today';
+    }
+  }
+  
+  describeStatus(data) {
+    const breaks = `${data.waterBreak.remaining} of ${data.waterBreak.allowance} water breaks left`;
+    if (!data.isTargetSite) return `Not a target site\n${breaks}`;
+    
+    const timeLeft = Math.max(0, data.timeoutMs - data.intoxicationTime);
+    let status;
+    if (data.pause.active) {
+      status = `Paused, ${this.formatDuration(data.pause.remainingMs)} left`;
+    } else if (data.allowlisted) {
+      status = `Allowlisted (${data.allowlisted}), not counting`;
+    } else if (data.waterBreakActive) {
+      status = `Water break, ${this.formatDuration(data.waterBreakRemaining)} left`;
+    } else if (data.shouldBeBlurred) {
+      status = data.intoxication ? data.intoxication.name : 'Blurred';
+    } else {
+      status = `${this.formatDuration(timeLeft)} left`;
+    }
+    return `${data.currentSite}: ${status}\n${breaks}`;
+  }
+  
+  formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${(seconds % 60).toString().padStart(2, '0')}s` : `${seconds}s`;
+  }
+  
+  showToast(tabId, text) {
+    if (tabId === null || tabId === undefined) return;
+    
+    // Browser pages (chrome://, the web store) can't be scripted; nothing to show there
+    chrome.scripting.executeScript({
+      target: { tabId },
+      func: FocusBlockerToast.show,
+      args: [text, FocusBlockerToast.DURATION_MS]
+    }).catch(error => this.log(`Could not show toast in tab ${tabId}:`, error.message));
+  }
+  
+  handleGetHistory(sendResponse) {
+    // Fold open sessions in first so today's numbers are current
+    this.checkpointSessions();
+    
+    sendResponse({
+      days: this.history.days,
+      sites: this.getSiteRules().map(rule => ({
+        siteKey: rule.key,
+        timeoutMs: this.getTimeoutMs(rule.key)
+      }))
     });
+  }
+  
+  async handleExportData(sendResponse) {
+    this.checkpointSessions();
     
-    sendResponse({ success: true });
+    try {
+      sendResponse(FocusBlockerDataTransfer.createExport({
+        settings: await this.settings.loadOverrides(),
+        siteTimeTrackers: Object.fromEntries(this.siteTimeTrackers),
+        days: this.history.days
+      }));
+    } catch (error) {
+      console.error('[Focus Blocker] Export failed:', error);
+      sendResponse(null);
+    }
+  }
+  
+  async handleImportData(message, sendResponse) {
+    const { data, mode } = message;
+    const errors = FocusBlockerDataTransfer.validate(data);
     
-    setTimeout(() => {
-      this.waterBreakEndTime = null;
-      this.log('Water break ended');
+    if (errors.length > 0) {
+      this.log('Rejected import:', errors);
+      sendResponse({ success: false, errors: errors });
+      return;
+    }
+    
+    // Bank open sessions first so their time sits on top of the imported totals
+    this.checkpointSessions();
+    
+    const trackers = data.usage?.siteTimeTrackers || {};
+    const days = data.history?.days || {};
+    
+    try {
+      if (mode === 'replace') {
+        this.siteTimeTrackers = new Map(Object.entries(structuredClone(trackers)));
+        this.history.replaceDays(structuredClone(days));
+        if (data.settings) await this.settings.replace(FocusBlockerDataTransfer.pickSettings(data.settings));
+      } else {
+        const currentTrackers = Object.fromEntries(this.siteTimeTrackers);
+        this.siteTimeTrackers = new Map(Object.entries(FocusBlockerDataTransfer.mergeTrackers(currentTrackers, trackers)));
+        this.history.replaceDays(FocusBlockerDataTransfer.mergeDays(this.history.days, days));
+        if (data.settings) await this.settings.save(FocusBlockerDataTransfer.pickSettings(data.settings));
+      }
       
-      chrome.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => {
-          if (tab.url && this.isTargetSite(tab.url)) {
-            this.checkTabAndApplyBlur(tab);
-          }
-        });
-      });
-    }, 5000);
+      await this.saveState();
+      this.pushStateToAll();
+      this.scheduleThresholdAlarm();
+      this.log(`Imported ${Object.keys(days).length} days of history (${mode})`);
+      sendResponse({ success: true, days: Object.keys(days).length });
+    } catch (error) {
+      console.error('[Focus Blocker] Import failed:', error);
+      sendResponse({ success: false, errors: [error.message] });
+    }
   }
   
   handleGetPopupData(sendResponse) {
@@ -480,19 +1609,27 @@ class FocusBlockerBackground {
         const siteKey = this.getSiteKey(tab.url);
         const timeInfo = siteKey ? this.getTimeInfoForSite(siteKey) : null;
         
-        const waterBreakActive = this.isWaterBreakActive();
-        const waterBreakRemaining = waterBreakActive ? this.waterBreakEndTime - Date.now() : 0;
+        const waterBreak = this.getWaterBreakStatus();
+        const allowlistMatch = this.getAllowlistMatch(tab);
         
         if (timeInfo) {
           sendResponse({
             totalTime: timeInfo.totalTime,
+            intoxicationTime: timeInfo.intoxicationTime,
             timeoutMs: timeInfo.timeoutMs,
-            shouldBeBlurred: timeInfo.shouldBeBlurred,
+            shouldBeBlurred: timeInfo.shouldBeBlurred && !allowlistMatch,
+            allowlisted: allowlistMatch ? allowlistMatch.text : null,
             blurIntensity: this.config?.blurIntensity || '5px',
             config: this.config,
-            waterBreakActive: waterBreakActive,
-            waterBreakRemaining: waterBreakRemaining,
+            waterBreakActive: waterBreak.active,
+            waterBreakRemaining: waterBreak.remainingMs,
+            waterBreak: waterBreak,
+            pause: this.getPauseStatus(),
             currentSite: siteKey,
+            profile: timeInfo.profile,
+            intoxication: timeInfo.intoxication,
+            schedule: timeInfo.profile.schedule,
+            nextScheduleChange: this.getNextScheduleChange(siteKey),
             dailyTime: timeInfo.dailyTime,
             isTargetSite: this.isTargetSite(tab.url)
           });
@@ -503,26 +1640,33 @@ class FocusBlockerBackground {
       this.sendDefaultPopupData(sendResponse);
     };
     
-    if (this.activeTabId) {
-      chrome.tabs.get(this.activeTabId, getData);
+    const focusedTabId = this.sessionManager.getFocusedTabId();
+    if (focusedTabId !== null) {
+      chrome.tabs.get(focusedTabId, getData);
     } else {
       this.sendDefaultPopupData(sendResponse);
     }
   }
   
   sendDefaultPopupData(sendResponse) {
-    const waterBreakActive = this.isWaterBreakActive();
-    const waterBreakRemaining = waterBreakActive ? this.waterBreakEndTime - Date.now() : 0;
+    const waterBreak = this.getWaterBreakStatus();
     
     sendResponse({
       totalTime: 0,
+      intoxicationTime: 0,
       timeoutMs: this.getTimeoutMs(),
       shouldBeBlurred: false,
+      allowlisted: null,
       blurIntensity: this.config?.blurIntensity || '5px',
       config: this.config,
-      waterBreakActive: waterBreakActive,
-      waterBreakRemaining: waterBreakRemaining,
+      waterBreakActive: waterBreak.active,
+      waterBreakRemaining: waterBreak.remainingMs,
+      waterBreak: waterBreak,
+      pause: this.getPauseStatus(),
       currentSite: null,
+      intoxication: null,
+      schedule: null,
+      nextScheduleChange: null,
       dailyTime: 0,
       isTargetSite: false
     });
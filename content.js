@@ -9,161 +9,378 @@ class FocusBlockerContent {
     this.blurMin = 4;
     this.blurMax = 10;
     this.blurCheckInterval = 100;
+    this.effects = ['blur'];
+    this.siteEffects = null;
+    this.intoxication = null;
+    this.fadingOut = false;
     
     this.lastBlurCheck = 0;
-    this.currentBlurLevel = 0;
     this.targetBlurLevel = 0;
-    this.blurAnimationId = null;
+    this.siteAdapters = new FocusBlockerSiteAdapters();
+    this.effectEngine = new FocusBlockerEffectEngine((root) => this.observeRoot(root));
+    this.effectEngine.setTargets(this.siteAdapters.getSelectors());
+    this.rendererBenchmark = new FocusBlockerRendererBenchmark(this.effectEngine);
+    this.rendererSetting = null;
+    this.rendererSiteKey = null;
+    this.needsBenchmark = false;
+    this.inputEffects = new FocusBlockerInputEffects();
+    this.activityMonitor = new FocusBlockerActivityMonitor((state) => this.reportActivity(state));
+    this.pageContext = new FocusBlockerPageContext((context) => this.postToBackground({ action: 'reportContext', ...context }));
+    this.sobrietyTest = new FocusBlockerSobrietyTest();
+    this.hud = new FocusBlockerHud((siteKey) => this.postToBackground({ action: 'hideHud', siteKey }));
 
     this.currentSiteKey = null;
     
+    // Everything below is driven by state the background pushes over the port
+    this.port = null;
+    this.active = false;
+    this.shouldBlur = false;
+    this.blurTimer = null;
+    this.observer = null;
+    
     this.initialize();
   }
   
-  async initialize() {
+  initialize() {
     console.log('[Focus Blocker] Content script loaded');
     
-    await this.loadConfig();
-    this.connectToBackground();
     this.setupEventListeners();
     this.setupMutationObserver();
-    this.startContentHeartbeat();
+    this.connectToBackground();
+  }
+  
+  applyConfig(config) {
+    const previousInterval = this.config?.contentCheckIntervalMs;
+    
+    this.config = config;
+    this.blurIntensity = this.config.blurIntensity || '5px';
+    
+    this.blurChance = this.config.blurChance ?? 0.9;
+    this.blurMin = this.config.blurMin ?? 4;
+    this.blurMax = this.config.blurMax ?? 10;
+    this.blurCheckInterval = this.config.blurCheckInterval || 100;
+    
+    this.effects = this.config.effects || ['blur'];
+    this.inputEffects.configure(this.config.inputEffects);
+    
+    console.log('[Focus Blocker] Blur effect config loaded:', {
+      chance: this.blurChance,
+      min: this.blurMin,
+      max: this.blurMax,
+      checkInterval: this.blurCheckInterval
+    });
+    
+    if (this.heartbeatInterval && previousInterval !== this.config.contentCheckIntervalMs) {
+      this.startHeartbeat();
+    }
+  }
+  
+  applyProfile(profile) {
+    // Site profiles override the global blur settings for this page
+    if (!profile) return;
+    
+    this.blurChance = profile.blurChance ?? this.config?.blurChance ?? 0.9;
+    this.blurMin = profile.blurMin ?? this.config?.blurMin ?? 4;
+    this.blurMax = profile.blurMax ?? this.config?.blurMax ?? 10;
+    this.siteEffects = profile.effects || null;
+    this.effectEngine.setTargets(this.siteAdapters.getSelectors(profile.selectors));
+    this.applyRenderer(profile.renderer || 'auto');
+    
+    if (profile.inputEffects) {
+      this.inputEffects.configure(profile.inputEffects);
+    }
   }
   
-  async loadConfig() {
+  // 'filter' or 'overlay', or 'auto' for what the site measured fastest. A
+  // site that was never measured is measured the next time it gets blurred.
+  async applyRenderer(setting) {
+    const siteKey = this.currentSiteKey;
+    if (setting === this.rendererSetting && siteKey === this.rendererSiteKey) return;
+    
+    this.rendererSetting = setting;
+    this.rendererSiteKey = siteKey;
+    this.needsBenchmark = false;
+    
+    if (setting !== 'auto') {
+      this.effectEngine.setRenderer(setting);
+      return;
+    }
+    
+    let choice = null;
     try {
-      const response = await chrome.runtime.sendMessage({ action: 'getConfig' });
-      if (response?.config) {
-        this.config = response.config;
-        this.blurIntensity = this.config.blurIntensity || '5px';
-        
-        this.blurChance = this.config.blurChance ?? 0.9;
-        this.blurMin = this.config.blurMin ?? 4;
-        this.blurMax = this.config.blurMax ?? 10;
-        this.blurCheckInterval = this.config.blurCheckInterval || 100;
-        
-        console.log('[Focus Blocker] Blur effect config loaded:', {
-          chance: this.blurChance,
-          min: this.blurMin,
-          max: this.blurMax,
-          checkInterval: this.blurCheckInterval
-        });
-      }
+      choice = await this.rendererBenchmark.getChoice(siteKey);
     } catch (error) {
-      console.error('[Focus Blocker] Failed to load config:', error);
+      console.log('[Focus Blocker] Could not read renderer benchmarks:', error.message);
+    }
+    if (this.rendererSetting !== 'auto' || this.rendererSiteKey !== siteKey) return;
+    
+    this.effectEngine.setRenderer(choice || 'filter');
+    if (!choice) {
+      this.needsBenchmark = true;
+      if (this.blurApplied && !this.fadingOut) this.runRendererBenchmark();
+    }
+  }
+  
+  async runRendererBenchmark() {
+    this.needsBenchmark = false;
+    
+    try {
+      const renderer = await this.rendererBenchmark.run(this.rendererSiteKey);
+      
+      // Interrupted by the tab being hidden or the blur ending: next blur
+      if (!renderer) this.needsBenchmark = this.rendererSetting === 'auto';
+    } catch (error) {
+      console.log('[Focus Blocker] Renderer benchmark failed:', error.message);
+    }
+    
+    // The setting may have changed while it ran
+    if (this.rendererSetting !== 'auto') this.effectEngine.setRenderer(this.rendererSetting);
+  }
+  
+  applyIntoxication(intoxication) {
+    // Returns true when the level changed, so the new blur can skip the re-roll delay
+    const levelChanged = (intoxication?.level ?? null) !== (this.intoxication?.level ?? null);
+    this.intoxication = intoxication || null;
+    
+    if (levelChanged && this.intoxication) {
+      console.log(`[Focus Blocker] Intoxication level: ${this.intoxication.name}`);
     }
+    return levelChanged;
+  }
+  
+  normalizeEffects(effects) {
+    // Effects are a list of names or a map of name -> weight
+    if (!effects) return null;
+    if (Array.isArray(effects)) {
+      return Object.fromEntries(effects.map(name => [name, 1]));
+    }
+    return effects;
+  }
+  
+  getActiveEffects() {
+    // A site's own effects win, then the current level's, then the global default
+    return this.normalizeEffects(this.siteEffects) ||
+      this.normalizeEffects(this.intoxication?.effects) ||
+      this.normalizeEffects(this.effects) ||
+      { blur: 1 };
+  }
+  
+  getEffectIntensities(effects, blurPx) {
+    const intensity = this.intoxication?.intensity ?? 1;
+    const intensities = {};
+    
+    Object.entries(effects).forEach(([name, weight]) => {
+      intensities[name] = name === 'blur' ? blurPx * weight : Math.min(1, intensity * weight);
+    });
+    return intensities;
   }
   
   connectToBackground() {
-    this.port = chrome.runtime.connect({ name: 'content-script' });
+    try {
+      this.port = chrome.runtime.connect({ name: 'content-script' });
+    } catch (error) {
+      // The extension was reloaded or removed underneath this page
+      console.log('[Focus Blocker] Cannot reach background script:', error.message);
+      return false;
+    }
+    
+    this.port.onMessage.addListener((message) => this.handlePortMessage(message));
+    this.port.onDisconnect.addListener(() => this.handlePortDisconnect());
     console.log('[Focus Blocker] Connected to background script');
     
-    this.reportBlurState(false);
+    this.reportBlurState(this.blurApplied);
+    this.pageContext.resend();
+    return true;
+  }
+  
+  postToBackground(message) {
+    // The port drops whenever the service worker sleeps; reconnecting wakes it
+    if (!this.port && !this.connectToBackground()) return;
+    this.port.postMessage(message);
   }
   
   reportBlurState(isBlurred) {
-    chrome.runtime.sendMessage({ 
+    this.postToBackground({ 
       action: 'reportBlurState', 
       isBlurred: isBlurred 
     });
   }
   
-  getRandomBlurIntensity() {
-    return Math.random() * (this.blurMax - this.blurMin) + this.blurMin + 'px';
+  reportActivity(state) {
+    this.postToBackground({ action: 'reportActivity', ...state });
   }
   
-  animateBlur() {
-    if (this.currentBlurLevel === this.targetBlurLevel) {
-      this.stopAnimation();
+  async runSobrietyTest(challenge) {
+    console.log(`[Focus Blocker] Sobriety test: ${challenge.type} (difficulty ${challenge.difficulty.toFixed(2)})`);
+    const result = await this.sobrietyTest.run(challenge);
+    
+    // Leaving the page isn't failing; the background lets the challenge lapse
+    if (result.reason === 'cancelled') return;
+    
+    console.log(`[Focus Blocker] Sobriety test ${result.passed ? 'passed' : `failed (${result.reason})`}`);
+    this.postToBackground({
+      action: 'sobrietyTestResult',
+      id: challenge.id,
+      passed: result.passed,
+      reason: result.reason
+    });
+  }
+  
+  handleState(state) {
+    clearTimeout(this.blurTimer);
+    this.blurTimer = null;
+    
+    if (!state.isTarget) {
+      this.sleep();
       return;
     }
+    this.wake();
+    
+    if (state.blurIntensity) {
+      this.blurIntensity = state.blurIntensity;
+    }
+    if (state.siteKey !== this.currentSiteKey) {
+      this.currentSiteKey = state.siteKey;
+      console.log(`[Focus Blocker] Now on site: ${this.currentSiteKey}`);
+    }
+    
+    this.applyProfile(state.profile);
+    const levelChanged = this.applyIntoxication(state.intoxication);
+    this.hud.update(state);
+    const now = Date.now();
+    
+    if (state.waterBreakEndTime > now) {
+      console.log(`[Focus Blocker] Water break active, removing blur from ${this.currentSiteKey}`);
+      this.setBlurWanted(false);
+    } else if (state.pauseEndTime > now) {
+      console.log(`[Focus Blocker] Paused, removing blur from ${this.currentSiteKey}`);
+      this.setBlurWanted(false);
+    } else if (state.allowlisted) {
+      console.log(`[Focus Blocker] Allowlisted content on ${this.currentSiteKey}, no blur`);
+      this.setBlurWanted(false);
+    } else if (state.shouldBeBlurred) {
+      console.log(`[Focus Blocker] ${this.currentSiteKey} - Should be blurred (${Math.floor(state.intoxicationTime/1000)}s/${Math.floor(state.timeoutMs/1000)}s)`);
+      this.setBlurWanted(true, levelChanged);
+    } else {
+      this.setBlurWanted(false);
+    }
     
-    const diff = this.targetBlurLevel - this.currentBlurLevel;
-    this.currentBlurLevel += diff * 0.1; // 10% per frame for smooth transition
+    // The budget runs out while the site is counting: blur on time even if the
+    // service worker is asleep by then
+    if (state.blurAt) {
+      this.blurTimer = setTimeout(() => {
+        this.handleState({
+          ...state,
+          intoxicationTime: Math.max(state.intoxicationTime, state.timeoutMs),
+          shouldBeBlurred: true,
+          blurAt: null,
+          waterBreakEndTime: null,
+          pauseEndTime: null
+        });
+      }, Math.max(0, state.blurAt - now));
+    }
+  }
+  
+  wake() {
+    if (this.active) return;
     
-    this.applyBlurToPage(this.currentBlurLevel + 'px');
+    this.active = true;
+    this.activityMonitor.start();
+    this.pageContext.start();
+    console.log('[Focus Blocker] Target page, tracking activity');
+  }
+  
+  sleep() {
+    // Non-target pages on a target host (e.g. outside a path rule) do nothing
+    if (!this.active) return;
     
-    this.blurAnimationId = requestAnimationFrame(() => this.animateBlur());
+    this.active = false;
+    this.activityMonitor.stop();
+    this.pageContext.stop();
+    this.sobrietyTest.cancel();
+    this.hud.destroy();
+    this.setBlurWanted(false);
+    console.log('[Focus Blocker] Not a target page, going dormant');
   }
   
-  stopAnimation() {
-    if (this.blurAnimationId) {
-      cancelAnimationFrame(this.blurAnimationId);
-      this.blurAnimationId = null;
+  setBlurWanted(wanted, force = false) {
+    this.shouldBlur = wanted;
+    
+    if (wanted) {
+      this.applyBlur(force);
+      this.startHeartbeat();
+    } else {
+      this.stopHeartbeat();
+      this.removeBlur();
     }
   }
   
-  applyBlurToPage(intensity) {
-    document.body.style.filter = `blur(${intensity})`;
-    document.body.style.webkitFilter = `blur(${intensity})`;
+  getRandomBlurIntensity() {
+    if (!this.intoxication) {
+      return Math.random() * (this.blurMax - this.blurMin) + this.blurMin + 'px';
+    }
     
-    document.querySelectorAll('iframe, video').forEach(element => {
-      element.style.filter = `blur(${intensity})`;
-      element.style.webkitFilter = `blur(${intensity})`;
-    });
+    // Escalate through the blur range with intoxication, wobbling around the level
+    const range = this.blurMax - this.blurMin;
+    const center = this.blurMin + range * this.intoxication.intensity;
+    const wobble = (Math.random() - 0.5) * range * 0.2;
+    return Math.min(this.blurMax, Math.max(this.blurMin, center + wobble)) + 'px';
   }
   
-  applyBlur() {
+  applyBlur(force = false) {
     const now = Date.now();
     
-    if (now - this.lastBlurCheck < this.blurCheckInterval) {
+    if (!force && now - this.lastBlurCheck < this.blurCheckInterval) {
       return;
     }
     this.lastBlurCheck = now;
     
-    if (Math.random() > this.blurChance) {
+    const blurChance = this.intoxication?.blurChance ?? this.blurChance;
+    if (Math.random() > blurChance) {
       console.log('[Focus Blocker] Random skip - no blur this time');
       return;
     }
     
-    const newTargetBlur = parseFloat(this.getRandomBlurIntensity());
-    if (this.targetBlurLevel !== newTargetBlur || !this.blurAnimationId) {
-      this.targetBlurLevel = newTargetBlur;
-      
-      if (!this.blurAnimationId) {
-        this.blurAnimationId = requestAnimationFrame(() => this.animateBlur());
-      }
-      
+    const effects = this.getActiveEffects();
+    this.fadingOut = false;
+    this.targetBlurLevel = 'blur' in effects ? parseFloat(this.getRandomBlurIntensity()) : 0;
+    this.effectEngine.setEffects(this.getEffectIntensities(effects, this.targetBlurLevel));
+    this.inputEffects.setIntensity(this.intoxication?.intensity ?? 1);
+    
+    if (!this.blurApplied) {
       this.blurApplied = true;
-      console.log(`[Focus Blocker] Blur animating to ${this.targetBlurLevel}px`);
-      
+      this.observeDOM();
       this.reportBlurState(true);
+      if (this.needsBenchmark) this.runRendererBenchmark();
     }
+    console.log(`[Focus Blocker] Blur animating to ${this.targetBlurLevel}px with effects:`, Object.keys(effects));
   }
   
   removeBlur() {
     if (!this.blurApplied) return;
     
     this.targetBlurLevel = 0;
+    this.fadingOut = true;
+    this.inputEffects.setIntensity(0);
     
-    if (!this.blurAnimationId) {
-      this.blurAnimationId = requestAnimationFrame(() => this.animateBlur());
-    }
-    
-    setTimeout(() => {
-      if (this.targetBlurLevel === 0 && Math.abs(this.currentBlurLevel) < 0.1) {
+    this.effectEngine.clear(() => {
+      if (this.fadingOut && this.blurApplied) {
+        this.fadingOut = false;
         this.blurApplied = false;
+        this.observer?.disconnect();
         console.log('[Focus Blocker] Blur fully removed');
         this.reportBlurState(false);
       }
-    }, 300);
+    });
     
     console.log('[Focus Blocker] Blur fading out');
   }
   
-  startContentHeartbeat() {
-    if (document.readyState === 'complete' || document.readyState === 'interactive') {
-      this.startHeartbeat();
-    } else {
-      window.addEventListener('DOMContentLoaded', () => this.startHeartbeat());
-    }
-    
-    this.performInitialCheck();
-  }
-  
   startHeartbeat() {
     if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
     
+    // Purely local and only while the page should be blurred: retries a blur
+    // the random chance skipped, re-rolls it and catches tampering
     const interval = this.config?.contentCheckIntervalMs || 500;
     this.heartbeatInterval = setInterval(() => this.heartbeatCheck(), interval);
     
@@ -171,43 +388,23 @@ class FocusBlockerContent {
   }
   
   heartbeatCheck() {
-    chrome.runtime.sendMessage({ action: 'getTimeStatus' }, (response) => {
-      if (chrome.runtime.lastError) return;
-      
-      // Store site key for debugging
-      if (response?.siteKey && response.siteKey !== this.currentSiteKey) {
-        this.currentSiteKey = response.siteKey;
-        console.log(`[Focus Blocker] Now on site: ${this.currentSiteKey}`);
-      }
-      
-      // Check if water break is active
-      chrome.runtime.sendMessage({ action: 'getPopupData' }, (popupData) => {
-        if (popupData?.waterBreakActive) {
-          if (this.blurApplied) {
-            console.log(`[Focus Blocker] Water break active, removing blur from ${this.currentSiteKey}`);
-            this.removeBlur();
-          }
-          return;
-        }
-        
-        if (response?.shouldBeBlurred && !this.blurApplied) {
-          console.log(`[Focus Blocker] ${this.currentSiteKey} - Should be blurred (total: ${Math.floor(response.totalTime/1000)}s), applying`);
-          this.applyBlur();
-        } else if (response && !response.shouldBeBlurred && this.blurApplied) {
-          console.log(`[Focus Blocker] ${this.currentSiteKey} - Should NOT be blurred (total: ${Math.floor(response.totalTime/1000)}s), removing`);
-          this.removeBlur();
-        }
-        
-        this.verifyBlurState();
-      });
-    });
+    if (!this.shouldBlur) return;
+    
+    if (!this.blurApplied || this.fadingOut) {
+      this.applyBlur();
+    } else {
+      this.verifyBlurState();
+    }
   }
   
   verifyBlurState() {
-    if (this.blurApplied && document.body.style.filter !== `blur(${this.blurIntensity})`) {
+    if (!this.blurApplied || this.fadingOut) return;
+    
+    if (!this.effectEngine.isApplied()) {
       console.log('[Focus Blocker] Heartbeat - Blur was removed, reapplying');
-      this.applyBlur();
+      this.effectEngine.reapply();
     }
+    this.applyBlur();
   }
   
   stopHeartbeat() {
@@ -218,45 +415,18 @@ class FocusBlockerContent {
     }
   }
   
-  performInitialCheck() {
-    setTimeout(() => {
-      chrome.runtime.sendMessage({ action: 'getTimeStatus' }, (response) => {
-        if (response?.shouldBeBlurred) {
-          if (response.blurIntensity) {
-            this.blurIntensity = response.blurIntensity;
-          }
-          console.log(`[Focus Blocker] Initial check - Should be blurred (total: ${Math.floor(response.totalTime/1000)}s)`);
-          this.applyBlur();
-        }
-      });
-    }, 1000);
-  }
-  
   setupEventListeners() {
+    // Fallback for messages sent while the port is down (the worker slept)
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => this.handleRuntimeMessage(message, sender, sendResponse));
     
-    if (this.port) {
-      this.port.onMessage.addListener((message) => this.handlePortMessage(message));
-      this.port.onDisconnect.addListener(() => this.handlePortDisconnect());
-    }
-    
     window.addEventListener('beforeunload', () => this.stopHeartbeat());
   }
   
   handleRuntimeMessage(message, sender, sendResponse) {
     console.log(`[Focus Blocker] Received message: ${message.action}`);
     
-    switch (message.action) {
-      case 'applyBlur':
-        if (message.blurIntensity) {
-          this.blurIntensity = message.blurIntensity;
-        }
-        this.applyBlur();
-        break;
-      case 'removeBlur':
-        this.removeBlur();
-        break;
-    }
+    if (!this.port) this.connectToBackground();
+    this.handleMessage(message);
     
     sendResponse({ received: true });
     return true;
@@ -264,47 +434,75 @@ class FocusBlockerContent {
   
   handlePortMessage(message) {
     console.log(`[Focus Blocker] Received port message: ${message.action}`);
-    
+    this.handleMessage(message);
+  }
+  
+  handleMessage(message) {
     switch (message.action) {
+      case 'state':
+        this.handleState(message);
+        break;
       case 'applyBlur':
         if (message.blurIntensity) {
           this.blurIntensity = message.blurIntensity;
         }
-        this.applyBlur();
+        this.applyProfile(message.profile);
+        this.setBlurWanted(true, this.applyIntoxication(message.intoxication));
         break;
       case 'removeBlur':
-        this.removeBlur();
+        this.setBlurWanted(false);
+        break;
+      case 'sobrietyTest':
+        this.runSobrietyTest(message.challenge);
+        break;
+      case 'configUpdated':
+        this.applyConfig(message.config);
         break;
     }
   }
   
   handlePortDisconnect() {
+    // Local timers keep the page correct; the next report reconnects
     console.log('[Focus Blocker] Disconnected from background');
-    this.stopHeartbeat();
+    this.port = null;
   }
   
   setupMutationObserver() {
-    const observer = new MutationObserver(() => this.handleDOMChanges());
-    
-    observer.observe(document, { 
-      childList: true, 
-      subtree: true,
-      attributes: true,
-      attributeFilter: ['style', 'class', 'id']
-    });
-    
+    // Only observes while blurred, see observeDOM()
+    this.observer = new MutationObserver((mutations) => this.handleMutations(mutations));
     console.log('[Focus Blocker] Mutation observer ready');
   }
   
-  handleDOMChanges() {
+  // The engine reports roots as it adds them, which for the first effects is
+  // before the blur counts as applied, so the ones it has are picked up here
+  observeDOM() {
+    this.observeRoot(document);
+    this.effectEngine.getRoots().forEach(root => this.observeRoot(root));
+  }
+  
+  // The effect engine reports the shadow roots and frame documents it puts
+  // its stylesheet in; their changes don't reach an observer on the page
+  observeRoot(root) {
     if (!this.blurApplied) return;
     
-    setTimeout(() => {
-      if (this.blurApplied && document.body.style.filter !== `blur(${this.blurIntensity})`) {
-        console.log('[Focus Blocker] Mutation - Blur was removed, reapplying');
-        this.applyBlur();
-      }
-    }, 10);
+    this.observer.observe(root, { childList: true, subtree: true });
+  }
+  
+  handleMutations(mutations) {
+    if (!this.blurApplied) return;
+    
+    // The stylesheet covers media the page inserts later by itself; shadow
+    // roots and frames in the new nodes need a copy of it
+    const added = [];
+    mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) added.push(node);
+    }));
+    this.effectEngine.addNodes(added);
+    
+    if (!this.fadingOut && !this.effectEngine.isApplied()) {
+      console.log('[Focus Blocker] Mutation - Blur was removed, reapplying');
+      this.effectEngine.reapply();
+    }
   }
 }
 
@@ -0,0 +1,63 @@
+// Watches whether this page is actually being consumed: visible on screen, and
+// whether any <video>/<audio> is playing (and audibly). Media events don't
+// bubble, so they're caught in the capture phase on the document, which also
+// covers players inserted after load. Changes are reported through onChange.
+class FocusBlockerActivityMonitor {
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.state = null;
+    this.reportTimer = null;
+    
+    this.handleChange = this.handleChange.bind(this);
+  }
+  
+  start() {
+    const options = { capture: true, passive: true };
+    document.addEventListener('visibilitychange', this.handleChange, options);
+    ['play', 'playing', 'pause', 'ended', 'emptied', 'volumechange'].forEach(type => {
+      document.addEventListener(type, this.handleChange, options);
+    });
+    
+    this.report();
+  }
+  
+  stop() {
+    const options = { capture: true, passive: true };
+    document.removeEventListener('visibilitychange', this.handleChange, options);
+    ['play', 'playing', 'pause', 'ended', 'emptied', 'volumechange'].forEach(type => {
+      document.removeEventListener(type, this.handleChange, options);
+    });
+    clearTimeout(this.reportTimer);
+    this.state = null;
+  }
+  
+  getState() {
+    const playing = Array.from(document.querySelectorAll('video, audio'))
+      .filter(media => !media.paused && !media.ended && media.readyState > 2);
+    
+    return {
+      visible: document.visibilityState === 'visible',
+      playing: playing.length > 0,
+      audible: playing.some(media => !media.muted && media.volume > 0)
+    };
+  }
+  
+  handleChange() {
+    // Players fire bursts of events (play, playing, volumechange); report once
+    clearTimeout(this.reportTimer);
+    this.reportTimer = setTimeout(() => this.report(), 250);
+  }
+  
+  report() {
+    const state = this.getState();
+    const previous = this.state;
+    
+    if (previous && previous.visible === state.visible &&
+        previous.playing === state.playing && previous.audible === state.audible) {
+      return;
+    }
+    
+    this.state = state;
+    this.onChange(state);
+  }
+}
@@ -0,0 +1,386 @@
+// Eases a value towards its target a fixed fraction per frame
+class FocusBlockerTween {
+  constructor(value = 0, rate = 0.1) {
+    this.value = value;
+    this.target = value;
+    this.rate = rate;
+  }
+  
+  setTarget(target) {
+    this.target = target;
+  }
+  
+  step() {
+    const diff = this.target - this.value;
+    
+    if (Math.abs(diff) < 0.01) {
+      this.value = this.target;
+      return false;
+    }
+    
+    this.value += diff * this.rate;
+    return true;
+  }
+}
+
+// Runs registered visual effects off a single requestAnimationFrame loop.
+// Effects return the filter/transform they want each frame and the engine
+// composes them, so effects can be stacked without clobbering each other. The
+// result goes on the target selectors (the site adapter's feed and player, or
+// <body>) through an injected stylesheet fed by custom properties: elements
+// the page renders later pick it up by themselves, and declarations are only
+// in the sheet while some effect uses them, so the page's own transforms
+// aren't overridden by an idle rule. `mediaFilter` goes on video and iframe
+// elements inside the targets, which some players draw outside the ancestor's
+// filter. Shadow roots and same-origin frames get their own copy of the sheet
+// (see FocusBlockerEffectRoots). The 'overlay' renderer draws the filter on a
+// layer over the viewport instead (see FocusBlockerOverlayRenderer). Nothing
+// animates while the tab is hidden.
+class FocusBlockerEffectEngine {
+  static definitions = new Map(); // name -> effect class
+  static RENDERERS = ['filter', 'overlay'];
+  static MEASURE_BLUR_PX = 1;
+  
+  static register(name, EffectClass) {
+    FocusBlockerEffectEngine.definitions.set(name, EffectClass);
+  }
+  
+  // onRootAdded(root): a document or shadow root got the stylesheet
+  constructor(onRootAdded = () => {}) {
+    this.active = new Map(); // name -> { effect, tween }
+    this.frameId = null;
+    this.idleCallbacks = [];
+    
+    this.targets = ['body'];
+    this.roots = new FocusBlockerEffectRoots(onRootAdded);
+    this.used = { filter: false, transform: false, mediaFilter: false };
+    this.styleKey = null; // what the sheets were written for, see applyStyle()
+    this.fullscreenCovered = false;
+    this.renderer = 'filter';
+    this.overlay = new FocusBlockerOverlayRenderer();
+    this.measurement = null; // { frames, times, resolve }, see measure()
+    
+    document.addEventListener('fullscreenchange', () => this.handleFullscreenChange());
+    document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+  }
+  
+  setTargets(selectors) {
+    const targets = selectors.length > 0 ? selectors : ['body'];
+    if (targets.join('\n') === this.targets.join('\n')) return;
+    
+    this.targets = targets;
+    this.styleKey = null;
+    this.active.forEach(({ effect }) => effect.setTargets(targets));
+    if (this.active.size > 0) this.start();
+  }
+  
+  setRenderer(renderer) {
+    if (!FocusBlockerEffectEngine.RENDERERS.includes(renderer) || renderer === this.renderer) return;
+    
+    this.renderer = renderer;
+    this.styleKey = null;
+    if (this.active.size > 0) this.start();
+  }
+  
+  setIntensity(name, value) {
+    const EffectClass = FocusBlockerEffectEngine.definitions.get(name);
+    if (!EffectClass) {
+      console.warn(`[Focus Blocker] Unknown effect: ${name}`);
+      return;
+    }
+    
+    let entry = this.active.get(name);
+    if (!entry) {
+      if (value <= 0) return;
+      
+      const effect = new EffectClass();
+      effect.setup(this.targets);
+      entry = { effect, tween: new FocusBlockerTween(0, effect.tweenRate) };
+      this.active.set(name, entry);
+    }
+    
+    entry.tween.setTarget(Math.max(0, value));
+    this.start();
+  }
+  
+  setEffects(intensities) {
+    // Effects left out of the new set fade out and are torn down
+    this.active.forEach((entry, name) => {
+      if (!(name in intensities)) entry.tween.setTarget(0);
+    });
+    
+    Object.entries(intensities).forEach(([name, value]) => this.setIntensity(name, value));
+    this.start();
+  }
+  
+  clear(onIdle) {
+    if (onIdle) this.idleCallbacks.push(onIdle);
+    this.setEffects({});
+  }
+  
+  getIntensity(name) {
+    return this.active.get(name)?.tween.value ?? 0;
+  }
+  
+  hasActiveEffects() {
+    return this.active.size > 0;
+  }
+  
+  start() {
+    if (this.frameId) return;
+    
+    // Nobody sees a hidden tab: the effects jump to where they're going and
+    // animation waits until the tab is shown again
+    if (document.hidden) {
+      this.active.forEach(entry => { entry.tween.value = entry.tween.target; });
+      this.tick(performance.now());
+      return;
+    }
+    this.frameId = requestAnimationFrame((time) => this.tick(time));
+  }
+  
+  stop() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+  
+  tick(time) {
+    this.frameId = null;
+    
+    const filters = [];
+    const transforms = [];
+    const mediaFilters = [];
+    let needsFrame = false;
+    
+    this.active.forEach((entry, name) => {
+      const moving = entry.tween.step();
+      
+      if (!moving && entry.tween.value === 0) {
+        entry.effect.teardown();
+        this.active.delete(name);
+        return;
+      }
+      
+      const style = entry.effect.render(entry.tween.value, time) || {};
+      if (style.filter) filters.push(style.filter);
+      if (style.transform) transforms.push(style.transform);
+      if (style.mediaFilter) mediaFilters.push(style.mediaFilter);
+      
+      needsFrame = needsFrame || moving || entry.effect.animated;
+    });
+    
+    if (this.measurement && this.active.size === 0) this.finishMeasure(null);
+    if (this.measurement) {
+      // Timed on a light blur instead of the real one, which would flash
+      // across the page, plus a shift nobody can see so every frame repaints
+      // like an animated effect
+      const blur = filters.length > 0 ? [`blur(${FocusBlockerEffectEngine.MEASURE_BLUR_PX}px)`] : [];
+      filters.splice(0, filters.length, ...blur, `hue-rotate(${this.measurement.times.length % 2}deg)`);
+    }
+    
+    this.applyStyle(filters.join(' '), transforms.join(' '), mediaFilters.join(' '));
+    
+    if (this.measurement) {
+      const { frames, times } = this.measurement;
+      times.push(time);
+      
+      if (times.length > frames) {
+        this.finishMeasure((times[times.length - 1] - times[0]) / (times.length - 1));
+      } else {
+        needsFrame = true;
+      }
+    }
+    
+    if (needsFrame && !document.hidden) {
+      this.start();
+    } else if (this.active.size === 0) {
+      this.notifyIdle();
+    }
+  }
+  
+  applyStyle(filter, transform, mediaFilter) {
+    if (!filter && !transform && !mediaFilter) {
+      this.roots.clear();
+      this.overlay.hide();
+      this.styleKey = null;
+      return;
+    }
+    
+    this.used = { filter: Boolean(filter), transform: Boolean(transform), mediaFilter: Boolean(mediaFilter) };
+    const key = `${this.renderer}|${this.targets.join(',')}|${this.fullscreenCovered}|${Object.values(this.used).join('|')}`;
+    if (key !== this.styleKey) {
+      this.roots.update((root) => this.buildCss(root));
+      this.styleKey = key;
+    }
+    
+    this.overlay.render(this.renderer === 'overlay' ? filter : '');
+    
+    this.roots.setProperties({
+      '--focus-blocker-filter': filter || 'none',
+      '--focus-blocker-transform': transform || 'none',
+      '--focus-blocker-media-filter': mediaFilter || 'none'
+    });
+  }
+  
+  // A frame or shadow root inside a target is already under the target's
+  // filter; only its media needs the effects again. With the overlay, the
+  // filter only goes on a fullscreen element, which is drawn above it.
+  buildCss(root) {
+    const isDocument = root.nodeType === Node.DOCUMENT_NODE;
+    const host = isDocument ? root.defaultView?.frameElement : root.host;
+    const insideTarget = root !== document && this.isInTarget(host);
+    const fullscreen = this.fullscreenCovered && (root === document || !isDocument);
+    const overlay = this.renderer === 'overlay';
+    
+    const selectors = insideTarget ? [] : [...this.targets];
+    if (fullscreen) selectors.push(':fullscreen');
+    const filtered = overlay ? selectors.filter(selector => selector === ':fullscreen') : selectors;
+    
+    let css = '';
+    if (this.used.filter && filtered.length > 0) {
+      css += `:is(${filtered.join(', ')}) { filter: var(--focus-blocker-filter) !important; ` +
+        '-webkit-filter: var(--focus-blocker-filter) !important; }\n';
+    }
+    if (this.used.transform && selectors.length > 0) {
+      css += `:is(${selectors.join(', ')}) { transform: var(--focus-blocker-transform) !important; }\n`;
+    }
+    if (this.used.mediaFilter && !overlay && (insideTarget || selectors.length > 0)) {
+      const media = insideTarget ? ':is(video, iframe)' : `:is(${selectors.join(', ')}) :is(video, iframe)`;
+      css += `${media} { filter: var(--focus-blocker-media-filter) !important; }\n`;
+    }
+    return css;
+  }
+  
+  // Whether the element or anything around it is a target, across shadow
+  // root and frame boundaries
+  isInTarget(element) {
+    const selector = this.targets.join(', ');
+    
+    for (let node = element; node; ) {
+      if (node.closest(selector)) return true;
+      
+      const root = node.getRootNode();
+      node = root.host || root.defaultView?.frameElement || null;
+    }
+    return false;
+  }
+  
+  // An element in fullscreen leaves its ancestors' filter behind, so one in a
+  // target gets the effects itself
+  handleFullscreenChange() {
+    let element = document.fullscreenElement;
+    while (element?.shadowRoot?.fullscreenElement) {
+      element = element.shadowRoot.fullscreenElement;
+    }
+    
+    const covered = Boolean(element) && this.isInTarget(element);
+    if (covered === this.fullscreenCovered) return;
+    
+    this.fullscreenCovered = covered;
+    this.styleKey = null;
+    if (this.active.size > 0) this.start();
+  }
+  
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.stop();
+      this.finishMeasure(null);
+    } else if (this.active.size > 0) {
+      this.start();
+    }
+  }
+  
+  // Resolves to the average frame time in ms with `renderer` while the
+  // effects change on every frame, as in a fade or an animated effect. Null
+  // when the tab was hidden or the effects ended first.
+  measure(renderer, frames) {
+    this.finishMeasure(null);
+    if (document.hidden || this.active.size === 0) return Promise.resolve(null);
+    
+    this.setRenderer(renderer);
+    return new Promise(resolve => {
+      this.measurement = { frames, times: [], resolve };
+      this.start();
+    });
+  }
+  
+  finishMeasure(result) {
+    const measurement = this.measurement;
+    this.measurement = null;
+    measurement?.resolve(result);
+  }
+  
+  // The documents and shadow roots the stylesheet is in
+  getRoots() {
+    return this.roots.getAll();
+  }
+  
+  // Elements the page added: new shadow roots and frames get the stylesheet
+  addNodes(nodes) {
+    this.roots.addNodes(nodes);
+  }
+  
+  // False when the page threw out a stylesheet or the overlay while effects
+  // are showing
+  isApplied() {
+    return this.roots.isApplied() && this.overlay.isApplied();
+  }
+  
+  reapply() {
+    this.styleKey = null;
+    this.start();
+  }
+  
+  notifyIdle() {
+    const callbacks = this.idleCallbacks;
+    this.idleCallbacks = [];
+    callbacks.forEach(callback => callback());
+  }
+  
+  teardown() {
+    this.stop();
+    this.active.forEach(entry => entry.effect.teardown());
+    this.active.clear();
+    this.applyStyle('', '', '');
+    this.finishMeasure(null);
+    this.notifyIdle();
+  }
+}
+
+// Base class for effects. Subclasses override what they need; intensity is in
+// the effect's own unit (pixels for blur, 0..1 for everything else).
+class FocusBlockerEffect {
+  constructor() {
+    this.animated = false;
+    this.tweenRate = 0.1;
+  }
+  
+  // targets: the selectors the engine puts the effects on. Effects that style
+  // the page themselves keep to them, and setTargets() follows changes.
+  setup(targets) {}
+  
+  setTargets(targets) {}
+  
+  render(intensity, time) {
+    return null;
+  }
+  
+  teardown() {}
+  
+  injectStyle(id, css) {
+    let style = document.getElementById(id);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = id;
+      (document.head || document.documentElement).appendChild(style);
+    }
+    style.textContent = css;
+    return style;
+  }
+  
+  removeElement(id) {
+    document.getElementById(id)?.remove();
+  }
+}
@@ -0,0 +1,139 @@
+// The documents and shadow roots the effect stylesheet goes into. A page's
+// stylesheet doesn't reach inside shadow roots or iframes, so every open shadow
+// root and same-origin iframe gets its own copy, and iframe documents get the
+// custom properties too (shadow roots inherit them from their host). Closed
+// shadow roots and cross-origin frames can't be reached; the filter on their
+// host element still covers them. The page is walked once when the effects
+// start, after that only the nodes the content script's mutation observer
+// reports as added.
+class FocusBlockerEffectRoots {
+  static STYLE_ID = 'focus-blocker-effects';
+  
+  constructor(onRootAdded) {
+    this.onRootAdded = onRootAdded;
+    this.roots = new Map(); // Document or ShadowRoot -> <style>
+    this.watchedFrames = new WeakSet();
+    this.buildCss = null;
+    this.properties = {};
+    this.active = false;
+  }
+  
+  // buildCss(root) returns the stylesheet text for one root
+  update(buildCss) {
+    this.buildCss = buildCss;
+    
+    if (!this.active) {
+      this.active = true;
+      this.add(document);
+    }
+    
+    this.prune();
+    this.roots.forEach((style, root) => this.write(root, style));
+  }
+  
+  setProperties(properties) {
+    this.properties = properties;
+    this.roots.forEach((style, root) => this.applyProperties(root));
+  }
+  
+  getAll() {
+    this.prune();
+    return Array.from(this.roots.keys());
+  }
+  
+  addNodes(nodes) {
+    if (!this.active) return;
+    nodes.forEach(node => this.scan(node));
+  }
+  
+  // False when a page threw out one of the stylesheets (or rewrote a shadow
+  // root's content along with it)
+  isApplied() {
+    if (!this.active) return true;
+    
+    this.prune();
+    return Array.from(this.roots.values()).every(style => style.isConnected);
+  }
+  
+  clear() {
+    this.roots.forEach((style, root) => {
+      style.remove();
+      if (root.nodeType === Node.DOCUMENT_NODE && root.documentElement) {
+        Object.keys(this.properties).forEach(name => root.documentElement.style.removeProperty(name));
+      }
+    });
+    this.roots.clear();
+    this.properties = {};
+    this.active = false;
+  }
+  
+  add(root) {
+    if (this.roots.has(root)) return;
+    
+    const style = (root.ownerDocument || root).createElement('style');
+    style.id = FocusBlockerEffectRoots.STYLE_ID;
+    this.roots.set(root, style);
+    
+    this.write(root, style);
+    this.applyProperties(root);
+    this.onRootAdded(root);
+    this.scan(root);
+  }
+  
+  // Adds the roots in and below `node`
+  scan(node) {
+    const visit = (element) => {
+      if (element.shadowRoot) this.add(element.shadowRoot);
+      if (element.localName === 'iframe') this.addFrame(element);
+    };
+    
+    if (node.nodeType === Node.ELEMENT_NODE) visit(node);
+    
+    const walker = (node.ownerDocument || node).createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    while (walker.nextNode()) visit(walker.currentNode);
+  }
+  
+  addFrame(frame) {
+    if (!this.watchedFrames.has(frame)) {
+      // Every navigation inside the frame brings a new document
+      this.watchedFrames.add(frame);
+      frame.addEventListener('load', () => {
+        if (this.active) this.addFrame(frame);
+      });
+    }
+    
+    let frameDocument = null;
+    try {
+      frameDocument = frame.contentDocument;
+    } catch {
+      // Cross-origin
+    }
+    if (frameDocument?.documentElement) this.add(frameDocument);
+  }
+  
+  write(root, style) {
+    style.textContent = this.buildCss(root);
+    
+    if (!style.isConnected) {
+      const parent = root.nodeType === Node.DOCUMENT_NODE ? (root.head || root.documentElement) : root;
+      parent?.appendChild(style);
+    }
+  }
+  
+  applyProperties(root) {
+    if (root.nodeType !== Node.DOCUMENT_NODE || !root.documentElement) return;
+    
+    Object.entries(this.properties).forEach(([name, value]) => {
+      root.documentElement.style.setProperty(name, value);
+    });
+  }
+  
+  // Forgets frame documents that were navigated away from and shadow roots
+  // whose host left the page
+  prune() {
+    this.roots.forEach((style, root) => {
+      const gone = root.nodeType === Node.DOCUMENT_NODE ? root.defaultView === null : !root.isConnected;
+      if (gone && root !== document) this.roots.delete(root);
+    });
+  }
+}
@@ -0,0 +1,281 @@
+// Small draggable countdown for the current site, fed by the state the
+// background pushes (the same numbers getTimeInfoForSite gives the popup) and
+// ticking locally in between. Lives in a closed shadow root on <html> so page
+// CSS can't touch it and the effects on <body> don't blur it. It stays out of
+// the way of fullscreen video and can be hidden per site from its own button.
+// Warnings fire once each as the budget crosses `warnAtPercent` used or
+// `warnAtSecondsLeft` remaining, with a short glow and a line of text.
+class FocusBlockerHud {
+  static POSITION_KEY = 'hudPosition';
+  static WARNING_MS = 6000;
+  
+  static STYLE = `
+    :host { all: initial; }
+    .hud {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 10px;
+      border-radius: 10px;
+      background: rgba(15, 15, 27, 0.85);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+      font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+      font-size: 12px;
+      color: #e0e0e0;
+      cursor: grab;
+      user-select: none;
+      touch-action: none;
+      transition: box-shadow 0.6s, border-color 0.6s;
+    }
+    .hud.dragging { cursor: grabbing; }
+    .time {
+      font-family: 'Courier New', monospace;
+      font-size: 15px;
+      font-weight: bold;
+      color: #00f2ff;
+    }
+    .hud.warning { border-color: #ffb300; animation: glow 1.5s ease-in-out 3; }
+    .hud.warning .time { color: #ffb300; }
+    .hud.over .time { color: #ff3366; }
+    .hud.break .time { color: #4caf50; }
+    .hud.paused .time { color: #9e9e9e; }
+    .hud.allowlisted .time { color: #26a69a; }
+    .message { color: #ffb300; }
+    .message:empty { display: none; }
+    .close {
+      border: none;
+      background: none;
+      padding: 0 2px;
+      color: #888;
+      font-size: 14px;
+      line-height: 1;
+      cursor: pointer;
+    }
+    @keyframes glow {
+      50% { box-shadow: 0 0 18px rgba(255, 179, 0, 0.8); }
+    }
+  `;
+  
+  constructor(onHide) {
+    this.onHide = onHide;
+    this.host = null;
+    this.root = null;
+    this.state = null;
+    this.receivedAt = 0;
+    this.tickInterval = null;
+    this.warned = new Set(); // warnings already shown for this site and budget
+    this.warningUntil = 0;
+    this.warningText = '';
+    
+    this.handleFullscreenChange = this.handleFullscreenChange.bind(this);
+  }
+  
+  // state: the pushed tab state; state.hud is null when the HUD is off here
+  update(state) {
+    if (!state.hud) {
+      this.destroy();
+      return;
+    }
+    
+    const budgetChanged = state.siteKey !== this.state?.siteKey || state.timeoutMs !== this.state?.timeoutMs;
+    this.state = state;
+    this.receivedAt = Date.now();
+    
+    // Thresholds already behind when the page opens (or the budget changes)
+    // aren't news; only crossing one while watching warns
+    if (budgetChanged) {
+      this.warned.clear();
+      this.warningUntil = 0;
+      this.checkWarnings(this.getTimeLeft(), this.receivedAt, true);
+    }
+    
+    if (!this.host) this.create();
+    this.render();
+  }
+  
+  create() {
+    this.host = document.createElement('focus-blocker-hud');
+    this.host.style.cssText = 'position: fixed !important; z-index: 2147483646 !important; right: 16px; bottom: 16px;';
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    
+    this.root.innerHTML = `
+      <style>${FocusBlockerHud.STYLE}</style>
+      <div class="hud" role="status" aria-live="polite">
+        <span class="time"></span>
+        <span class="label"></span>
+        <span class="message"></span>
+        <button type="button" class="close" title="Hide on this site" aria-label="Hide on this site">×</button>
+      </div>
+    `;
+    
+    const close = this.root.querySelector('.close');
+    close.addEventListener('pointerdown', (event) => event.stopPropagation());
+    close.addEventListener('click', () => {
+      this.onHide(this.state.siteKey);
+      this.destroy();
+    });
+    
+    this.setupDragging(this.root.querySelector('.hud'));
+    this.restorePosition();
+    
+    document.documentElement.appendChild(this.host);
+    document.addEventListener('fullscreenchange', this.handleFullscreenChange);
+    this.handleFullscreenChange();
+    this.tickInterval = setInterval(() => this.render(), 1000);
+  }
+  
+  destroy() {
+    clearInterval(this.tickInterval);
+    this.tickInterval = null;
+    document.removeEventListener('fullscreenchange', this.handleFullscreenChange);
+    
+    this.host?.remove();
+    this.host = null;
+    this.root = null;
+    this.state = null;
+  }
+  
+  handleFullscreenChange() {
+    // Fullscreen video gets the whole screen to itself
+    this.host.style.display = document.fullscreenElement ? 'none' : '';
+  }
+  
+  getTimeLeft(now = Date.now()) {
+    const { intoxicationTime, timeoutMs, counting } = this.state;
+    const elapsed = counting ? now - this.receivedAt : 0;
+    return Math.max(0, timeoutMs - intoxicationTime - elapsed);
+  }
+  
+  formatTime(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+  }
+  
+  render() {
+    const now = Date.now();
+    const state = this.state;
+    const hud = this.root.querySelector('.hud');
+    const timeLeft = this.getTimeLeft(now);
+    const onBreak = state.waterBreakEndTime > now;
+    const paused = state.pauseEndTime > now;
+    const exempt = paused || state.allowlisted;
+    
+    if (onBreak) {
+      this.setText('.time', this.formatTime(state.waterBreakEndTime - now));
+      this.setText('.label', 'water break');
+    } else if (paused) {
+      this.setText('.time', this.formatTime(state.pauseEndTime - now));
+      this.setText('.label', 'designated driver');
+    } else if (state.allowlisted) {
+      this.setText('.time', this.formatTime(timeLeft));
+      this.setText('.label', 'allowlisted, not counting');
+    } else if (timeLeft > 0) {
+      this.setText('.time', this.formatTime(timeLeft));
+      this.setText('.label', state.counting ? 'left' : 'left, paused');
+    } else {
+      this.setText('.time', state.intoxication?.name || 'Blurred');
+      this.setText('.label', '');
+    }
+    
+    if (!onBreak && !exempt && timeLeft > 0) this.checkWarnings(timeLeft, now);
+    
+    const warning = now < this.warningUntil;
+    this.setText('.message', warning ? this.warningText : '');
+    hud.classList.toggle('warning', warning);
+    hud.classList.toggle('over', !onBreak && !exempt && timeLeft === 0);
+    hud.classList.toggle('break', onBreak);
+    hud.classList.toggle('paused', paused);
+    hud.classList.toggle('allowlisted', !paused && state.allowlisted === true);
+  }
+  
+  checkWarnings(timeLeft, now, silent = false) {
+    const { timeoutMs, hud } = this.state;
+    const used = 1 - timeLeft / timeoutMs;
+    
+    const thresholds = [
+      ...(hud.warnAtPercent || []).map(percent => ({
+        key: `percent:${percent}`,
+        crossed: used * 100 >= percent,
+        text: `${percent}% used`
+      })),
+      ...(hud.warnAtSecondsLeft || []).map(seconds => ({
+        key: `left:${seconds}`,
+        crossed: timeLeft <= seconds * 1000,
+        text: `${this.formatTime(seconds * 1000)} to go`
+      }))
+    ];
+    
+    // Time wearing off or a new day moves back below a threshold, which can
+    // then warn again
+    thresholds.filter(threshold => !threshold.crossed).forEach(threshold => this.warned.delete(threshold.key));
+    const crossed = thresholds.filter(threshold => threshold.crossed && !this.warned.has(threshold.key));
+    
+    crossed.forEach(threshold => this.warned.add(threshold.key));
+    if (crossed.length === 0 || silent) return;
+    
+    this.warningText = crossed[crossed.length - 1].text;
+    this.warningUntil = now + FocusBlockerHud.WARNING_MS;
+  }
+  
+  setText(selector, text) {
+    const element = this.root.querySelector(selector);
+    if (element.textContent !== text) element.textContent = text;
+  }
+  
+  setupDragging(handle) {
+    let offset = null;
+    
+    handle.addEventListener('pointerdown', (event) => {
+      const bounds = this.host.getBoundingClientRect();
+      offset = { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+      handle.setPointerCapture(event.pointerId);
+      handle.classList.add('dragging');
+    });
+    
+    handle.addEventListener('pointermove', (event) => {
+      if (!offset) return;
+      this.moveTo(event.clientX - offset.x, event.clientY - offset.y);
+    });
+    
+    const stop = () => {
+      if (!offset) return;
+      offset = null;
+      handle.classList.remove('dragging');
+      this.savePosition();
+    };
+    handle.addEventListener('pointerup', stop);
+    handle.addEventListener('pointercancel', stop);
+  }
+  
+  moveTo(left, top) {
+    const bounds = this.host.getBoundingClientRect();
+    const maxLeft = Math.max(0, window.innerWidth - bounds.width);
+    const maxTop = Math.max(0, window.innerHeight - bounds.height);
+    
+    Object.assign(this.host.style, {
+      left: `${Math.min(maxLeft, Math.max(0, left))}px`,
+      top: `${Math.min(maxTop, Math.max(0, top))}px`,
+      right: 'auto',
+      bottom: 'auto'
+    });
+  }
+  
+  // Shared by every target site, so it sits where the user last put it
+  async restorePosition() {
+    try {
+      const stored = await chrome.storage.local.get(FocusBlockerHud.POSITION_KEY);
+      const position = stored[FocusBlockerHud.POSITION_KEY];
+      if (position && this.host) this.moveTo(position.left, position.top);
+    } catch (error) {
+      console.log('[Focus Blocker] Could not restore HUD position:', error.message);
+    }
+  }
+  
+  savePosition() {
+    const bounds = this.host.getBoundingClientRect();
+    chrome.storage.local.set({ [FocusBlockerHud.POSITION_KEY]: { left: bounds.left, top: bounds.top } })
+      .catch(error => console.log('[Focus Blocker] Could not save HUD position:', error.message));
+  }
+}
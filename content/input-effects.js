@@ -0,0 +1,240 @@
+// Drunk input: scroll momentum and lag, a drifting cursor and presses that slip
+// a few pixels. Every listener is passive and only mouse/wheel input is touched,
+// so keyboard navigation, focus and form submission behave as usual.
+class FocusBlockerInputEffects {
+  constructor() {
+    this.settings = {};
+    this.intensity = 0;
+    this.listening = false;
+    
+    this.scrollVelocity = 0;
+    this.scrollContainer = null;
+    this.momentumFrameId = null;
+    
+    this.pointerX = null;
+    this.pointerY = null;
+    this.cursorElement = null;
+    this.cursorFrameId = null;
+    
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+  }
+  
+  configure(settings) {
+    this.settings = settings || {};
+    this.update();
+  }
+  
+  setIntensity(intensity) {
+    this.intensity = Math.max(0, Math.min(1, intensity));
+    this.update();
+  }
+  
+  isEnabled(behaviour) {
+    return this.intensity > 0 && this.settings[behaviour]?.enabled === true;
+  }
+  
+  update() {
+    const anyEnabled = ['scrollInertia', 'wheelDelay', 'cursorDrift', 'clickOffset']
+      .some(behaviour => this.isEnabled(behaviour));
+    
+    if (anyEnabled && !this.listening) {
+      this.addListeners();
+    } else if (!anyEnabled && this.listening) {
+      this.removeListeners();
+    }
+    
+    if (this.isEnabled('cursorDrift')) {
+      this.showCursor();
+    } else {
+      this.hideCursor();
+    }
+  }
+  
+  addListeners() {
+    const options = { passive: true, capture: true };
+    window.addEventListener('wheel', this.handleWheel, options);
+    window.addEventListener('pointermove', this.handlePointerMove, options);
+    window.addEventListener('pointerdown', this.handlePointerDown, options);
+    window.addEventListener('pointerup', this.handlePointerUp, options);
+    window.addEventListener('pointercancel', this.handlePointerUp, options);
+    this.listening = true;
+  }
+  
+  removeListeners() {
+    const options = { capture: true };
+    window.removeEventListener('wheel', this.handleWheel, options);
+    window.removeEventListener('pointermove', this.handlePointerMove, options);
+    window.removeEventListener('pointerdown', this.handlePointerDown, options);
+    window.removeEventListener('pointerup', this.handlePointerUp, options);
+    window.removeEventListener('pointercancel', this.handlePointerUp, options);
+    this.listening = false;
+    
+    this.stopMomentum();
+    this.handlePointerUp();
+  }
+  
+  // Scrolling
+  
+  handleWheel(event) {
+    if (event.ctrlKey || event.deltaY === 0) return;
+    
+    const deltaY = event.deltaMode === WheelEvent.DOM_DELTA_LINE ? event.deltaY * 16 : event.deltaY;
+    const container = this.findScrollContainer(event.target);
+    
+    if (this.isEnabled('scrollInertia')) {
+      // Keep sliding past where the wheel stopped
+      const strength = (this.settings.scrollInertia.strength ?? 0.6) * this.intensity;
+      this.scrollContainer = container;
+      this.scrollVelocity += deltaY * strength * 0.15;
+      this.startMomentum();
+    }
+    
+    if (this.isEnabled('wheelDelay')) {
+      // Take part of the scroll back now and hand it over later
+      const held = deltaY * this.intensity * 0.8;
+      const delayMs = (this.settings.wheelDelay.delayMs ?? 250) * this.intensity;
+      requestAnimationFrame(() => container.scrollBy(0, -held));
+      setTimeout(() => container.scrollBy({ top: held, behavior: 'smooth' }), delayMs);
+    }
+  }
+  
+  findScrollContainer(element) {
+    let node = element instanceof Element ? element : null;
+    
+    while (node && node !== document.body && node !== document.documentElement) {
+      const overflowY = getComputedStyle(node).overflowY;
+      if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+        return node;
+      }
+      node = node.parentElement;
+    }
+    return document.scrollingElement || document.documentElement;
+  }
+  
+  startMomentum() {
+    if (this.momentumFrameId) return;
+    
+    const step = () => {
+      this.scrollVelocity *= 0.92;
+      
+      if (Math.abs(this.scrollVelocity) < 0.5) {
+        this.stopMomentum();
+        return;
+      }
+      
+      this.scrollContainer.scrollBy(0, this.scrollVelocity);
+      this.momentumFrameId = requestAnimationFrame(step);
+    };
+    this.momentumFrameId = requestAnimationFrame(step);
+  }
+  
+  stopMomentum() {
+    if (this.momentumFrameId) {
+      cancelAnimationFrame(this.momentumFrameId);
+      this.momentumFrameId = null;
+    }
+    this.scrollVelocity = 0;
+  }
+  
+  // Cursor
+  
+  handlePointerMove(event) {
+    if (event.pointerType !== 'mouse') return;
+    
+    this.pointerX = event.clientX;
+    this.pointerY = event.clientY;
+  }
+  
+  showCursor() {
+    if (this.cursorElement) return;
+    
+    this.cursorElement = document.createElement('div');
+    this.cursorElement.id = 'focus-blocker-cursor';
+    this.cursorElement.setAttribute('aria-hidden', 'true');
+    Object.assign(this.cursorElement.style, {
+      position: 'fixed',
+      left: '0',
+      top: '0',
+      width: '0',
+      height: '0',
+      borderLeft: '7px solid transparent',
+      borderRight: '7px solid transparent',
+      borderBottom: '18px solid rgba(0, 0, 0, 0.75)',
+      filter: 'drop-shadow(0 0 1px white)',
+      transform: 'rotate(-25deg)',
+      pointerEvents: 'none',
+      zIndex: '2147483647',
+      display: 'none'
+    });
+    document.documentElement.appendChild(this.cursorElement);
+    
+    // The real pointer still decides where clicks land; only what you see drifts
+    this.cursorStyle = document.createElement('style');
+    this.cursorStyle.id = 'focus-blocker-cursor-style';
+    this.cursorStyle.textContent = 'html, html * { cursor: none !important; }';
+    (document.head || document.documentElement).appendChild(this.cursorStyle);
+    
+    const render = (time) => {
+      if (this.pointerX !== null) {
+        const maxOffset = (this.settings.cursorDrift.maxOffsetPx ?? 24) * this.intensity;
+        const x = this.pointerX + Math.sin(time / 700) * maxOffset;
+        const y = this.pointerY + Math.cos(time / 1100) * maxOffset;
+        this.cursorElement.style.display = 'block';
+        this.cursorElement.style.translate = `${x - 7}px ${y}px`;
+      }
+      this.cursorFrameId = requestAnimationFrame(render);
+    };
+    this.cursorFrameId = requestAnimationFrame(render);
+  }
+  
+  hideCursor() {
+    if (this.cursorFrameId) {
+      cancelAnimationFrame(this.cursorFrameId);
+      this.cursorFrameId = null;
+    }
+    this.cursorElement?.remove();
+    this.cursorElement = null;
+    this.cursorStyle?.remove();
+    this.cursorStyle = null;
+  }
+  
+  // Clicks
+  
+  handlePointerDown(event) {
+    if (!this.isEnabled('clickOffset') || event.pointerType !== 'mouse') return;
+    if (this.isFormControl(event.target)) return;
+    
+    const chance = (this.settings.clickOffset.chance ?? 0.2) * this.intensity;
+    if (Math.random() > chance) return;
+    
+    // Shift the page under the pointer so the release lands a few pixels away
+    const maxOffset = (this.settings.clickOffset.maxOffsetPx ?? 6) * this.intensity;
+    const dx = (Math.random() * 2 - 1) * maxOffset;
+    const dy = (Math.random() * 2 - 1) * maxOffset;
+    document.documentElement.style.translate = `${dx}px ${dy}px`;
+    this.clickShifted = true;
+  }
+  
+  handlePointerUp() {
+    if (!this.clickShifted) return;
+    
+    // Let the browser hit-test the release first, then put the page back
+    setTimeout(() => {
+      document.documentElement.style.translate = '';
+    }, 0);
+    this.clickShifted = false;
+  }
+  
+  isFormControl(element) {
+    return element instanceof Element &&
+      element.closest('input, textarea, select, button, label, [contenteditable=""], [contenteditable="true"]') !== null;
+  }
+  
+  teardown() {
+    this.intensity = 0;
+    this.update();
+  }
+}
@@ -0,0 +1,57 @@
+// Draws the composed filter with backdrop-filter on one fixed layer over the
+// viewport instead of on the page's own elements. Changing a filter on the
+// page repaints everything under it on every frame of a fade or an animated
+// effect; the overlay only repaints itself, which is much cheaper on heavy
+// pages. The layer covers the whole viewport rather than the site adapter's
+// parts, so 'auto' only picks it on sites without an adapter. It lets clicks
+// through and sits in a closed shadow root on <html>, under the HUD.
+// Transforms and fullscreen elements stay with the stylesheet.
+class FocusBlockerOverlayRenderer {
+  static STYLE = `
+    :host { all: initial; }
+    .overlay {
+      position: fixed;
+      inset: 0;
+      pointer-events: none;
+    }
+  `;
+  
+  constructor() {
+    this.host = null;
+    this.layer = null;
+  }
+  
+  render(filter) {
+    if (!filter) {
+      this.hide();
+      return;
+    }
+    
+    if (!this.host) this.create();
+    if (!this.host.isConnected) document.documentElement.appendChild(this.host);
+    
+    this.layer.style.backdropFilter = filter;
+    this.layer.style.webkitBackdropFilter = filter;
+  }
+  
+  create() {
+    this.host = document.createElement('focus-blocker-overlay');
+    this.host.style.cssText = 'position: fixed !important; z-index: 2147483645 !important; ' +
+      'inset: 0 !important; pointer-events: none !important;';
+    const root = this.host.attachShadow({ mode: 'closed' });
+    
+    root.innerHTML = `<style>${FocusBlockerOverlayRenderer.STYLE}</style><div class="overlay"></div>`;
+    this.layer = root.querySelector('.overlay');
+  }
+  
+  hide() {
+    this.host?.remove();
+    this.host = null;
+    this.layer = null;
+  }
+  
+  // False when the page removed the overlay while it's showing
+  isApplied() {
+    return this.host === null || this.host.isConnected;
+  }
+}
@@ -0,0 +1,141 @@
+// What the page shows beyond its URL, for allowlist rules. A YouTube watch
+// page's URL names the video but not the channel, and SPA navigation leaves the
+// <meta> tags describing the first video, so the channels come from the
+// rendered owner links instead. A Reddit post opened from the home feed or a
+// short link has no r/ in its URL; its subreddit comes from the post. Playlists
+// are always in the URL (list=), which the background reads itself.
+//
+// Only sites with an extractor are checked, and only after a navigation: the
+// owner row or the post shows up a moment later, so each navigation is followed
+// by a few checks spaced out over some seconds. Only changes are reported,
+// always with the URL the report is for. YouTube keeps the watch page's DOM
+// around, hidden, after navigating away from it; hidden elements don't count.
+class FocusBlockerPageContext {
+  static CHECK_DELAYS_MS = [0, 500, 1500, 3000, 6000];
+  static CHANNEL_SELECTORS = [
+    'ytd-watch-metadata ytd-channel-name a',
+    'ytd-video-owner-renderer ytd-channel-name a',
+    'ytd-video-owner-renderer > a',
+    'ytd-reel-video-renderer[is-active] ytd-channel-name a',
+    'ytm-slim-owner-renderer a'
+  ];
+  static POST_SELECTOR = 'shreddit-post[subreddit-prefixed-name]';
+  
+  static EXTRACTORS = [
+    {
+      name: 'YouTube',
+      hosts: ['youtube.com'],
+      events: ['yt-navigate-finish'],
+      read: (pageContext) => ({ channels: pageContext.getChannels() })
+    },
+    {
+      name: 'Reddit',
+      hosts: ['reddit.com'],
+      events: [],
+      read: (pageContext) => ({ subreddits: pageContext.getSubreddits() })
+    }
+  ];
+  
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.context = null;
+    this.extractor = null;
+    this.checkTimers = [];
+    this.handleNavigation = () => this.scheduleChecks();
+  }
+  
+  start() {
+    if (this.extractor) return;
+    
+    this.extractor = this.findExtractor();
+    if (!this.extractor) return;
+    
+    // Same-document navigations: the site's own event where it has one, the
+    // Navigation API for the rest, and back/forward
+    this.extractor.events.forEach(type => document.addEventListener(type, this.handleNavigation));
+    window.navigation?.addEventListener('navigatesuccess', this.handleNavigation);
+    window.addEventListener('popstate', this.handleNavigation);
+    this.scheduleChecks();
+  }
+  
+  stop() {
+    if (this.extractor) {
+      this.extractor.events.forEach(type => document.removeEventListener(type, this.handleNavigation));
+      window.navigation?.removeEventListener('navigatesuccess', this.handleNavigation);
+      window.removeEventListener('popstate', this.handleNavigation);
+    }
+    this.clearChecks();
+    this.extractor = null;
+    this.context = null;
+  }
+  
+  findExtractor(hostname = location.hostname) {
+    const host = hostname.toLowerCase();
+    return FocusBlockerPageContext.EXTRACTORS.find(extractor =>
+      extractor.hosts.some(extractorHost => host === extractorHost || host.endsWith(`.${extractorHost}`))) || null;
+  }
+  
+  scheduleChecks() {
+    this.clearChecks();
+    this.checkTimers = FocusBlockerPageContext.CHECK_DELAYS_MS.map(delay => setTimeout(() => this.check(), delay));
+  }
+  
+  clearChecks() {
+    this.checkTimers.forEach(timer => clearTimeout(timer));
+    this.checkTimers = [];
+  }
+  
+  getChannels() {
+    const channels = new Set();
+    
+    document.querySelectorAll(FocusBlockerPageContext.CHANNEL_SELECTORS.join(', ')).forEach(link => {
+      if (link.closest('[hidden]')) return;
+      
+      // "/@handle" or "/channel/UC...", plus the display name
+      const path = new URL(link.href, location.href).pathname.split('/').filter(Boolean);
+      if (path[0]?.startsWith('@')) channels.add(this.decode(path[0]));
+      if (path[0] === 'channel' && path[1]) channels.add(path[1]);
+      
+      const name = link.textContent.trim();
+      if (name) channels.add(name);
+    });
+    return Array.from(channels);
+  }
+  
+  // Only a post's own page names one subreddit; feeds mix posts from many
+  getSubreddits() {
+    if (!location.pathname.split('/').includes('comments')) return [];
+    
+    const post = document.querySelector(FocusBlockerPageContext.POST_SELECTOR);
+    const name = post?.getAttribute('subreddit-prefixed-name').replace(/^r\//i, '');
+    return name ? [name] : [];
+  }
+  
+  decode(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  }
+  
+  check() {
+    if (!this.extractor) return;
+    
+    const context = { url: location.href, channels: [], subreddits: [], ...this.extractor.read(this) };
+    const previous = this.context;
+    const same = (key) => previous[key].join('\n') === context[key].join('\n');
+    
+    if (previous && previous.url === context.url && same('channels') && same('subreddits')) {
+      return;
+    }
+    
+    this.context = context;
+    this.onChange(context);
+  }
+  
+  // A restarted background has forgotten the last report
+  resend() {
+    if (this.context) this.onChange(this.context);
+  }
+}
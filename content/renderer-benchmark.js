@@ -0,0 +1,74 @@
+// Picks the effect renderer for a site by timing both on it: the page's own
+// elements filtered ('filter') against one backdrop-filter layer over the
+// viewport ('overlay'). The overlay blurs the whole viewport, which only looks
+// the same as the filter on sites without an adapter, where the whole body is
+// the target; sites with one always keep the filter. Even then the overlay
+// only wins when it's clearly faster. Results are kept per site for a week, so
+// a site is measured the first time it gets blurred and then left alone.
+class FocusBlockerRendererBenchmark {
+  static STORAGE_KEY = 'rendererBenchmarks';
+  static FRAMES = 60;
+  static OVERLAY_MARGIN = 1.25; // the filter has to be this much slower
+  static MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+  
+  constructor(effectEngine) {
+    this.effectEngine = effectEngine;
+    this.running = false;
+  }
+  
+  canUseOverlay() {
+    return this.effectEngine.targets.every(selector => FocusBlockerSiteAdapters.FALLBACK.includes(selector));
+  }
+  
+  // The stored choice for the site, or null when it needs measuring
+  async getChoice(siteKey, time = Date.now()) {
+    if (!this.canUseOverlay()) return 'filter';
+    
+    const stored = await chrome.storage.local.get(FocusBlockerRendererBenchmark.STORAGE_KEY);
+    const result = stored[FocusBlockerRendererBenchmark.STORAGE_KEY]?.[siteKey];
+    
+    if (!result || time - result.measuredAt > FocusBlockerRendererBenchmark.MAX_AGE_MS) return null;
+    return result.renderer;
+  }
+  
+  // Times both renderers on the effects showing now and stores the faster.
+  // Resolves to the choice, or null if the measurement got interrupted; the
+  // engine is left on the choice, or on the renderer it had.
+  async run(siteKey) {
+    if (!this.canUseOverlay()) {
+      this.effectEngine.setRenderer('filter');
+      return 'filter';
+    }
+    if (this.running) return null;
+    this.running = true;
+    
+    const previous = this.effectEngine.renderer;
+    const frames = FocusBlockerRendererBenchmark.FRAMES;
+    
+    try {
+      const filterMs = await this.effectEngine.measure('filter', frames);
+      const overlayMs = filterMs === null ? null : await this.effectEngine.measure('overlay', frames);
+      
+      if (overlayMs === null) {
+        this.effectEngine.setRenderer(previous);
+        return null;
+      }
+      
+      const renderer = filterMs > overlayMs * FocusBlockerRendererBenchmark.OVERLAY_MARGIN ? 'overlay' : 'filter';
+      this.effectEngine.setRenderer(renderer);
+      console.log(`[Focus Blocker] Renderer for ${siteKey}: ${renderer} ` +
+        `(filter ${filterMs.toFixed(1)}ms, overlay ${overlayMs.toFixed(1)}ms per frame)`);
+      
+      await this.store(siteKey, { renderer, filterMs, overlayMs, measuredAt: Date.now() });
+      return renderer;
+    } finally {
+      this.running = false;
+    }
+  }
+  
+  async store(siteKey, result) {
+    const key = FocusBlockerRendererBenchmark.STORAGE_KEY;
+    const stored = await chrome.storage.local.get(key);
+    await chrome.storage.local.set({ [key]: { ...stored[key], [siteKey]: result } });
+  }
+}
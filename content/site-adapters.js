@@ -0,0 +1,147 @@
+// Where the effects go on each site. Blurring all of <body> hides navigation
+// and settings along with the feed, and a filter or transform on <body> turns
+// it into the containing block for every position: fixed element, which wrecks
+// sticky headers and overlays. Adapters name the addictive parts instead (home
+// feed, Shorts shelf, timeline, recommendations, player) and only those are
+// blurred. The selectors go into a stylesheet (see FocusBlockerEffectEngine),
+// so parts an SPA renders later are covered as soon as they appear, and pages
+// with none of them (settings, account pages) stay sharp. Sites without an
+// adapter get all of <body>. A site rule's `selectors` replace the built-in
+// adapter for that site.
+class FocusBlockerSiteAdapters {
+  static FALLBACK = ['body'];
+  
+  static ADAPTERS = [
+    {
+      name: 'YouTube',
+      hosts: ['youtube.com'],
+      selectors: [
+        'ytd-browse[page-subtype="home"] ytd-rich-grid-renderer',
+        'ytd-browse[page-subtype="subscriptions"] ytd-rich-grid-renderer',
+        'ytd-rich-shelf-renderer[is-shorts]',
+        'ytd-reel-shelf-renderer',
+        'ytd-shorts',
+        'ytd-search ytd-section-list-renderer',
+        'ytd-watch-flexy #secondary',
+        'ytd-watch-flexy #player',
+        'ytd-watch-flexy #full-bleed-container',
+        'ytd-miniplayer'
+      ]
+    },
+    {
+      name: 'YouTube mobile',
+      hosts: ['m.youtube.com'],
+      selectors: [
+        'ytm-browse ytm-rich-grid-renderer',
+        'ytm-reel-shelf-renderer',
+        'ytm-shorts-lockup-view-model',
+        'ytm-single-column-watch-next-results-renderer',
+        '#player-container-id'
+      ]
+    },
+    {
+      name: 'Reddit',
+      hosts: ['reddit.com'],
+      selectors: [
+        'shreddit-feed',
+        'shreddit-post',
+        'shreddit-player',
+        '#siteTable'
+      ]
+    },
+    {
+      name: 'X',
+      hosts: ['twitter.com', 'x.com'],
+      selectors: [
+        '[aria-label^="Timeline"]',
+        '[data-testid="videoPlayer"]'
+      ]
+    },
+    {
+      name: 'Facebook',
+      hosts: ['facebook.com'],
+      selectors: [
+        '[role="feed"]',
+        '[aria-label="Stories"]',
+        '[data-pagelet^="FeedUnit"]',
+        '[data-pagelet="WatchFeed"]'
+      ]
+    },
+    {
+      name: 'Instagram',
+      hosts: ['instagram.com'],
+      selectors: [
+        'main article',
+        'main video',
+        'main [role="presentation"]'
+      ]
+    },
+    {
+      name: 'TikTok',
+      hosts: ['tiktok.com'],
+      selectors: [
+        '[data-e2e="recommend-list-item-container"]',
+        '[data-e2e="browse-video"]',
+        '[data-e2e="user-post-item-list"]'
+      ]
+    },
+    {
+      name: 'Netflix',
+      hosts: ['netflix.com'],
+      selectors: [
+        '.lolomo',
+        '.billboard-row',
+        '.watch-video'
+      ]
+    },
+    {
+      name: 'Twitch',
+      hosts: ['twitch.tv'],
+      selectors: [
+        '.video-player',
+        '[data-a-target="front-page-carousel"]',
+        '.directory-page__card-container',
+        '.tw-tower'
+      ]
+    }
+  ];
+  
+  // The most specific host wins, so m.youtube.com doesn't get the desktop adapter
+  findAdapter(hostname = location.hostname) {
+    const host = hostname.toLowerCase().replace(/^www\./, '');
+    let best = null;
+    let bestLength = -1;
+    
+    for (const adapter of FocusBlockerSiteAdapters.ADAPTERS) {
+      for (const adapterHost of adapter.hosts) {
+        const matches = host === adapterHost || host.endsWith(`.${adapterHost}`);
+        if (matches && adapterHost.length > bestLength) {
+          best = adapter;
+          bestLength = adapterHost.length;
+        }
+      }
+    }
+    return best;
+  }
+  
+  // profileSelectors: a site rule's own `selectors`, if it has any
+  getSelectors(profileSelectors = null, hostname = location.hostname) {
+    const own = Array.isArray(profileSelectors) ?
+      profileSelectors.filter(selector => this.isValidSelector(selector)) : [];
+    if (own.length > 0) return own;
+    
+    return this.findAdapter(hostname)?.selectors || FocusBlockerSiteAdapters.FALLBACK;
+  }
+  
+  isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) return false;
+    
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch {
+      console.warn(`[Focus Blocker] Ignoring invalid selector: ${selector}`);
+      return false;
+    }
+  }
+}
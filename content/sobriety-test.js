@@ -0,0 +1,333 @@
+// Field sobriety test overlay. Runs one challenge handed over by the background
+// and resolves with { passed, reason }. Everything lives in a closed shadow
+// root on <html>, outside the <body> the effects filter, so the host page's CSS
+// can't restyle it and its scripts can't reach in. Keys typed into the test are
+// kept from bubbling out to the page's shortcuts (YouTube's "k", "f" and so on).
+//   typing     - retype a phrase exactly, longer with difficulty
+//   arithmetic - a few sums in a row, bigger numbers and products with difficulty
+//   balance    - keep a wobbling dot inside a circle, shakier and smaller with difficulty
+class FocusBlockerSobrietyTest {
+  static WORDS = [
+    'walk', 'the', 'line', 'touch', 'your', 'nose', 'count', 'backwards',
+    'from', 'ten', 'stand', 'on', 'one', 'leg', 'follow', 'my', 'finger',
+    'steady', 'officer', 'straight', 'slowly', 'heel', 'to', 'toe'
+  ];
+  
+  static STYLE = `
+    :host { all: initial; }
+    .backdrop {
+      position: fixed;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(5, 5, 15, 0.75);
+      font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+      color: #e0e0e0;
+    }
+    .card {
+      width: 360px;
+      padding: 24px;
+      border-radius: 12px;
+      background: #0f0f1b;
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.6);
+      text-align: center;
+    }
+    h1 {
+      margin: 0 0 4px;
+      font-size: 20px;
+      font-style: italic;
+      color: #ff3366;
+    }
+    .level { font-size: 11px; color: #888; text-transform: uppercase; letter-spacing: 2px; }
+    .instructions { margin: 16px 0 12px; font-size: 14px; }
+    .prompt {
+      margin-bottom: 12px;
+      font-family: 'Courier New', monospace;
+      font-size: 18px;
+      color: #00f2ff;
+      user-select: none;
+    }
+    input {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 10px;
+      border-radius: 8px;
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      background: rgba(255, 255, 255, 0.05);
+      color: #e0e0e0;
+      font-size: 16px;
+      font-family: 'Courier New', monospace;
+      outline: none;
+    }
+    input:focus { border-color: #00f2ff; }
+    .arena {
+      position: relative;
+      width: 240px;
+      height: 240px;
+      margin: 0 auto;
+      touch-action: none;
+    }
+    .circle {
+      position: absolute;
+      left: 50%;
+      top: 50%;
+      border: 2px dashed #00f2ff;
+      border-radius: 50%;
+      transform: translate(-50%, -50%);
+    }
+    .dot {
+      position: absolute;
+      left: 50%;
+      top: 50%;
+      width: 14px;
+      height: 14px;
+      margin: -7px 0 0 -7px;
+      border-radius: 50%;
+      background: #ff3366;
+      box-shadow: 0 0 10px rgba(255, 51, 102, 0.8);
+    }
+    .timer { height: 4px; margin-top: 16px; border-radius: 2px; background: rgba(255, 255, 255, 0.1); overflow: hidden; }
+    .timer-fill { height: 100%; background: #ff3366; transform-origin: left; }
+    .status { min-height: 18px; margin-top: 10px; font-size: 12px; color: #aaa; }
+    button {
+      margin-top: 12px;
+      padding: 8px 16px;
+      border: none;
+      border-radius: 8px;
+      background: rgba(255, 255, 255, 0.1);
+      color: #e0e0e0;
+      font-size: 12px;
+      cursor: pointer;
+    }
+  `;
+  
+  constructor() {
+    this.host = null;
+    this.root = null;
+    this.finish = null;
+    this.timeout = null;
+    this.frameId = null;
+  }
+  
+  isRunning() {
+    return this.finish !== null;
+  }
+  
+  // challenge: { type, difficulty, level, timeLimitMs }
+  run(challenge) {
+    this.cancel();
+    
+    return new Promise(resolve => {
+      this.finish = (passed, reason) => {
+        this.teardown();
+        resolve({ passed, reason });
+      };
+      
+      this.render(challenge);
+      this.timeout = setTimeout(() => this.finish(false, 'timeout'), challenge.timeLimitMs);
+    });
+  }
+  
+  cancel() {
+    if (this.finish) this.finish(false, 'cancelled');
+  }
+  
+  render(challenge) {
+    this.host = document.createElement('focus-blocker-sobriety-test');
+    this.host.style.cssText = 'position: fixed !important; inset: 0 !important; z-index: 2147483647 !important;';
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    
+    this.root.innerHTML = `
+      <style>${FocusBlockerSobrietyTest.STYLE}</style>
+      <div class="backdrop">
+        <div class="card" role="dialog" aria-modal="true" aria-label="Field sobriety test">
+          <h1>Field sobriety test</h1>
+          <div class="level"></div>
+          <div class="instructions"></div>
+          <div class="test"></div>
+          <div class="timer"><div class="timer-fill"></div></div>
+          <div class="status"></div>
+          <button type="button" class="give-up">Give up</button>
+        </div>
+      </div>
+    `;
+    this.root.querySelector('.level').textContent = challenge.level || 'Sober';
+    this.root.querySelector('.give-up').addEventListener('click', () => this.finish(false, 'gaveUp'));
+    
+    ['keydown', 'keyup', 'keypress'].forEach(type => {
+      this.root.addEventListener(type, (event) => event.stopPropagation());
+    });
+    
+    const timerFill = this.root.querySelector('.timer-fill');
+    timerFill.animate([{ transform: 'scaleX(1)' }, { transform: 'scaleX(0)' }], {
+      duration: challenge.timeLimitMs,
+      fill: 'forwards'
+    });
+    
+    switch (challenge.type) {
+      case 'arithmetic':
+        this.renderArithmetic(challenge.difficulty);
+        break;
+      case 'balance':
+        this.renderBalance(challenge.difficulty);
+        break;
+      default:
+        this.renderTyping(challenge.difficulty);
+    }
+    
+    document.documentElement.appendChild(this.host);
+    this.root.querySelector('input')?.focus();
+  }
+  
+  setText(selector, text) {
+    this.root.querySelector(selector).textContent = text;
+  }
+  
+  createInput(attributes) {
+    const input = document.createElement('input');
+    Object.assign(input, { autocomplete: 'off', spellcheck: false, ...attributes });
+    // Copying the prompt in would make the typing test pointless
+    input.addEventListener('paste', (event) => event.preventDefault());
+    input.addEventListener('drop', (event) => event.preventDefault());
+    return input;
+  }
+  
+  renderTyping(difficulty) {
+    const words = FocusBlockerSobrietyTest.WORDS;
+    const count = 3 + Math.round(difficulty * 5);
+    const phrase = Array.from({ length: count }, () => words[Math.floor(Math.random() * words.length)]).join(' ');
+    
+    this.setText('.instructions', 'Type the phrase exactly, then press Enter');
+    const prompt = document.createElement('div');
+    prompt.className = 'prompt';
+    prompt.textContent = phrase;
+    const input = this.createInput({ type: 'text' });
+    
+    input.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter') return;
+      if (input.value.trim() === phrase) {
+        this.finish(true, 'passed');
+      } else {
+        this.setText('.status', "That's not what it says. Try again.");
+      }
+    });
+    
+    this.root.querySelector('.test').append(prompt, input);
+  }
+  
+  createProblem(difficulty) {
+    const operators = difficulty >= 0.5 ? ['+', '-', '×'] : ['+', '-'];
+    const operator = operators[Math.floor(Math.random() * operators.length)];
+    const max = operator === '×' ? 5 + Math.round(difficulty * 7) : 10 + Math.round(difficulty * 90);
+    const random = () => 2 + Math.floor(Math.random() * (max - 1));
+    let a = random();
+    let b = random();
+    
+    if (operator === '-' && b > a) [a, b] = [b, a];
+    const answer = operator === '+' ? a + b : operator === '-' ? a - b : a * b;
+    return { text: `${a} ${operator} ${b} =`, answer };
+  }
+  
+  renderArithmetic(difficulty) {
+    const total = 1 + Math.round(difficulty * 2);
+    let solved = 0;
+    let problem = this.createProblem(difficulty);
+    
+    this.setText('.instructions', total > 1 ? `Solve ${total} sums in a row, Enter after each` : 'Solve the sum, then press Enter');
+    const prompt = document.createElement('div');
+    prompt.className = 'prompt';
+    prompt.textContent = problem.text;
+    const input = this.createInput({ type: 'text', inputMode: 'numeric' });
+    
+    input.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter' || input.value.trim() === '') return;
+      
+      // One wrong answer fails, like a real roadside test
+      if (Number(input.value.trim()) !== problem.answer) {
+        this.finish(false, 'wrongAnswer');
+        return;
+      }
+      if (++solved === total) {
+        this.finish(true, 'passed');
+        return;
+      }
+      problem = this.createProblem(difficulty);
+      prompt.textContent = problem.text;
+      input.value = '';
+      this.setText('.status', `${solved} of ${total} correct`);
+    });
+    
+    this.root.querySelector('.test').append(prompt, input);
+  }
+  
+  renderBalance(difficulty) {
+    const radius = 90 - Math.round(difficulty * 30);
+    const wobble = 8 + difficulty * 32;
+    const holdMs = (5 + difficulty * 5) * 1000;
+    const phases = Array.from({ length: 4 }, () => Math.random() * Math.PI * 2);
+    
+    this.setText('.instructions', `Keep the dot inside the circle for ${Math.round(holdMs / 1000)} seconds`);
+    this.setText('.status', 'Move your pointer onto the circle to start');
+    
+    const arena = document.createElement('div');
+    arena.className = 'arena';
+    const circle = document.createElement('div');
+    circle.className = 'circle';
+    circle.style.width = circle.style.height = `${radius * 2}px`;
+    const dot = document.createElement('div');
+    dot.className = 'dot';
+    arena.append(circle, dot);
+    this.root.querySelector('.test').append(arena);
+    
+    // The dot follows the pointer, plus a drunken sway on top
+    let pointer = null;
+    let startedAt = null;
+    arena.addEventListener('pointermove', (event) => {
+      const bounds = arena.getBoundingClientRect();
+      pointer = {
+        x: event.clientX - bounds.left - bounds.width / 2,
+        y: event.clientY - bounds.top - bounds.height / 2
+      };
+    });
+    
+    const step = (time) => {
+      if (pointer) {
+        const x = pointer.x + wobble * (Math.sin(time / 530 + phases[0]) + Math.sin(time / 1370 + phases[1])) / 2;
+        const y = pointer.y + wobble * (Math.sin(time / 610 + phases[2]) + Math.sin(time / 1190 + phases[3])) / 2;
+        dot.style.transform = `translate(${x}px, ${y}px)`;
+        
+        const inside = Math.hypot(x, y) <= radius;
+        if (startedAt === null && inside) startedAt = time;
+        
+        if (startedAt !== null) {
+          if (!inside) {
+            this.finish(false, 'leftCircle');
+            return;
+          }
+          const heldMs = time - startedAt;
+          if (heldMs >= holdMs) {
+            this.finish(true, 'passed');
+            return;
+          }
+          this.setText('.status', `Hold it... ${Math.ceil((holdMs - heldMs) / 1000)}s`);
+        }
+      }
+      this.frameId = requestAnimationFrame(step);
+    };
+    this.frameId = requestAnimationFrame(step);
+  }
+  
+  teardown() {
+    clearTimeout(this.timeout);
+    cancelAnimationFrame(this.frameId);
+    this.timeout = null;
+    this.frameId = null;
+    this.finish = null;
+    
+    this.host?.remove();
+    this.host = null;
+    this.root = null;
+  }
+}
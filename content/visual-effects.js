@@ -0,0 +1,160 @@
+// Blur in pixels. Also applied to iframes and videos directly, which some
+// players render outside their ancestors' filter.
+class FocusBlockerBlurEffect extends FocusBlockerEffect {
+  render(intensity) {
+    const filter = `blur(${intensity}px)`;
+    return { filter, mediaFilter: filter };
+  }
+}
+
+// Slow pendulum rotation and drift of the targets. A tall target like <body>
+// swings around the middle of the first screen rather than its own middle.
+class FocusBlockerSwayEffect extends FocusBlockerEffect {
+  constructor() {
+    super();
+    this.animated = true;
+  }
+  
+  setup(targets) {
+    this.setTargets(targets);
+  }
+  
+  setTargets(targets) {
+    this.injectStyle('focus-blocker-sway', `
+      :is(${targets.join(', ')}) {
+        transform-origin: 50% min(50%, 50vh) !important;
+      }
+    `);
+  }
+  
+  render(intensity, time) {
+    const angle = Math.sin(time / 1400) * 3 * intensity;
+    const drift = Math.sin(time / 2300) * 12 * intensity;
+    return { transform: `rotate(${angle}deg) translateX(${drift}px)` };
+  }
+  
+  teardown() {
+    this.removeElement('focus-blocker-sway');
+  }
+}
+
+// Offset ghost copy of the targets' text, drifting in and out of alignment
+class FocusBlockerDoubleVisionEffect extends FocusBlockerEffect {
+  constructor() {
+    super();
+    this.animated = true;
+  }
+  
+  setup(targets) {
+    this.setTargets(targets);
+  }
+  
+  setTargets(targets) {
+    const selector = `:is(${targets.join(', ')})`;
+    this.injectStyle('focus-blocker-double-vision', `
+      ${selector}, ${selector} * {
+        text-shadow: var(--focus-blocker-ghost-x, 0) var(--focus-blocker-ghost-y, 0) 1px rgba(128, 128, 128, var(--focus-blocker-ghost-alpha, 0)) !important;
+      }
+    `);
+  }
+  
+  render(intensity, time) {
+    const root = document.documentElement.style;
+    root.setProperty('--focus-blocker-ghost-x', `${(Math.sin(time / 900) + 1.2) * 6 * intensity}px`);
+    root.setProperty('--focus-blocker-ghost-y', `${Math.cos(time / 1300) * 3 * intensity}px`);
+    root.setProperty('--focus-blocker-ghost-alpha', String(0.6 * intensity));
+    return null;
+  }
+  
+  teardown() {
+    this.removeElement('focus-blocker-double-vision');
+    ['x', 'y', 'alpha'].forEach(name => {
+      document.documentElement.style.removeProperty(`--focus-blocker-ghost-${name}`);
+    });
+  }
+}
+
+// Colours slowly rotate around the hue wheel
+class FocusBlockerHueDriftEffect extends FocusBlockerEffect {
+  constructor() {
+    super();
+    this.animated = true;
+  }
+  
+  render(intensity, time) {
+    const hue = Math.sin(time / 4000) * 90 * intensity;
+    const saturation = 1 + 0.8 * intensity;
+    return { filter: `hue-rotate(${hue}deg) saturate(${saturation})` };
+  }
+}
+
+// Dark vignette closing in from the edges, pulsing gently
+class FocusBlockerTunnelVisionEffect extends FocusBlockerEffect {
+  constructor() {
+    super();
+    this.animated = true;
+  }
+  
+  setup() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'focus-blocker-tunnel-vision';
+    Object.assign(this.overlay.style, {
+      position: 'fixed',
+      inset: '0',
+      pointerEvents: 'none',
+      zIndex: '2147483647'
+    });
+    this.overlay.setAttribute('aria-hidden', 'true');
+    document.documentElement.appendChild(this.overlay);
+  }
+  
+  render(intensity, time) {
+    const pulse = Math.sin(time / 1100) * 4;
+    const clear = Math.max(10, 70 - 45 * intensity + pulse);
+    this.overlay.style.background = 
+      `radial-gradient(ellipse at center, transparent ${clear}%, rgba(0, 0, 0, ${0.95 * intensity}) ${clear + 25}%)`;
+    return null;
+  }
+  
+  teardown() {
+    this.overlay?.remove();
+    this.overlay = null;
+  }
+}
+
+// Text blocks in the targets skew back and forth. The motion itself is a CSS
+// animation; the frame loop only feeds it the current intensity.
+class FocusBlockerWobblyTextEffect extends FocusBlockerEffect {
+  setup(targets) {
+    this.setTargets(targets);
+  }
+  
+  setTargets(targets) {
+    this.injectStyle('focus-blocker-wobbly-text', `
+      @keyframes focus-blocker-wobble {
+        0% { transform: skewX(calc(var(--focus-blocker-wobble, 0) * -6deg)) translateY(calc(var(--focus-blocker-wobble, 0) * -1px)); }
+        100% { transform: skewX(calc(var(--focus-blocker-wobble, 0) * 6deg)) translateY(calc(var(--focus-blocker-wobble, 0) * 1px)); }
+      }
+      :is(${targets.join(', ')}) :is(p, li, h1, h2, h3, h4, h5, h6, blockquote, figcaption) {
+        animation: focus-blocker-wobble 1.7s ease-in-out infinite alternate;
+      }
+    `);
+  }
+  
+  render(intensity) {
+    document.documentElement.style.setProperty('--focus-blocker-wobble', String(intensity));
+    return null;
+  }
+  
+  teardown() {
+    this.removeElement('focus-blocker-wobbly-text');
+    document.documentElement.style.removeProperty('--focus-blocker-wobble');
+  }
+}
+
+FocusBlockerEffectEngine.register('blur', FocusBlockerBlurEffect);
+FocusBlockerEffectEngine.register('sway', FocusBlockerSwayEffect);
+FocusBlockerEffectEngine.register('doubleVision', FocusBlockerDoubleVisionEffect);
+FocusBlockerEffectEngine.register('hueDrift', FocusBlockerHueDriftEffect);
+FocusBlockerEffectEngine.register('tunnelVision', FocusBlockerTunnelVisionEffect);
+FocusBlockerEffectEngine.register('wobblyText', FocusBlockerWobblyTextEffect);
@@ -0,0 +1,163 @@
+// Small SVG chart helpers for the dashboard. Everything is drawn into a
+// viewBox so the charts scale with their container.
+class FocusBlockerCharts {
+  constructor() {
+    this.svgNamespace = 'http://www.w3.org/2000/svg';
+    this.textColor = '#888';
+    this.gridColor = 'rgba(255, 255, 255, 0.08)';
+  }
+  
+  createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(this.svgNamespace, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  }
+  
+  createSvg(container, width, height) {
+    const svg = this.createSvgElement('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      width: '100%',
+      role: 'img'
+    });
+    container.replaceChildren(svg);
+    return svg;
+  }
+  
+  addTitle(element, text) {
+    const title = this.createSvgElement('title');
+    title.textContent = text;
+    element.appendChild(title);
+  }
+  
+  addText(svg, x, y, text, attributes = {}) {
+    const label = this.createSvgElement('text', {
+      x, y,
+      fill: this.textColor,
+      'font-size': 10,
+      'text-anchor': 'middle',
+      ...attributes
+    });
+    label.textContent = text;
+    svg.appendChild(label);
+    return label;
+  }
+  
+  // bars: [{ label, title, segments: [{ value, color }] }], stacked bottom-up
+  renderBarChart(container, bars, { height = 220, formatValue = String } = {}) {
+    const width = 720;
+    const padding = { top: 10, right: 10, bottom: 24, left: 56 };
+    const svg = this.createSvg(container, width, height);
+    
+    const totals = bars.map(bar => bar.segments.reduce((sum, segment) => sum + segment.value, 0));
+    const maxValue = Math.max(1, ...totals);
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const slot = plotWidth / Math.max(1, bars.length);
+    const barWidth = Math.max(2, slot * 0.7);
+    
+    [0, 0.5, 1].forEach(fraction => {
+      const y = padding.top + plotHeight * (1 - fraction);
+      svg.appendChild(this.createSvgElement('line', {
+        x1: padding.left, x2: width - padding.right, y1: y, y2: y,
+        stroke: this.gridColor
+      }));
+      this.addText(svg, padding.left - 6, y + 3, formatValue(maxValue * fraction), { 'text-anchor': 'end' });
+    });
+    
+    // Skip labels when they would overlap
+    const labelEvery = Math.ceil(bars.length / 16);
+    
+    bars.forEach((bar, index) => {
+      const x = padding.left + slot * index + (slot - barWidth) / 2;
+      let y = padding.top + plotHeight;
+      
+      bar.segments.forEach(segment => {
+        if (segment.value <= 0) return;
+        
+        const segmentHeight = plotHeight * segment.value / maxValue;
+        y -= segmentHeight;
+        const rect = this.createSvgElement('rect', {
+          x, y,
+          width: barWidth,
+          height: segmentHeight,
+          fill: segment.color,
+          rx: 2
+        });
+        this.addTitle(rect, bar.title || `${bar.label}: ${formatValue(totals[index])}`);
+        svg.appendChild(rect);
+      });
+      
+      if (index % labelEvery === 0) {
+        this.addText(svg, x + barWidth / 2, height - 8, bar.label);
+      }
+    });
+  }
+  
+  // rows: [{ label, value, text }]
+  renderHorizontalBars(container, rows, { color = '#00f2ff' } = {}) {
+    const width = 720;
+    const rowHeight = 26;
+    const labelWidth = 180;
+    const valueWidth = 90;
+    const height = Math.max(1, rows.length) * rowHeight;
+    const svg = this.createSvg(container, width, height);
+    const maxValue = Math.max(1, ...rows.map(row => row.value));
+    
+    if (rows.length === 0) {
+      this.addText(svg, width / 2, 16, 'No data yet');
+      return;
+    }
+    
+    rows.forEach((row, index) => {
+      const y = index * rowHeight;
+      const barWidth = (width - labelWidth - valueWidth) * row.value / maxValue;
+      
+      this.addText(svg, labelWidth - 10, y + 17, row.label, { 'text-anchor': 'end', 'font-size': 12, fill: '#ccc' });
+      const rect = this.createSvgElement('rect', {
+        x: labelWidth, y: y + 5,
+        width: Math.max(2, barWidth),
+        height: rowHeight - 10,
+        fill: color,
+        rx: 3
+      });
+      this.addTitle(rect, `${row.label}: ${row.text}`);
+      svg.appendChild(rect);
+      this.addText(svg, labelWidth + barWidth + 8, y + 17, row.text, { 'text-anchor': 'start', 'font-size': 11 });
+    });
+  }
+  
+  // grid[row][column] values, shaded relative to the largest cell
+  renderHeatmap(container, grid, rowLabels, columnLabels, { color = '255, 51, 102', formatValue = String } = {}) {
+    const labelWidth = 40;
+    const cell = 26;
+    const width = labelWidth + columnLabels.length * cell;
+    const height = 20 + rowLabels.length * cell;
+    const svg = this.createSvg(container, width, height);
+    const maxValue = Math.max(1, ...grid.flat());
+    
+    columnLabels.forEach((label, column) => {
+      if (column % 3 === 0) {
+        this.addText(svg, labelWidth + column * cell + cell / 2, 12, label);
+      }
+    });
+    
+    rowLabels.forEach((label, row) => {
+      const y = 20 + row * cell;
+      this.addText(svg, labelWidth - 6, y + cell / 2 + 3, label, { 'text-anchor': 'end' });
+      
+      columnLabels.forEach((columnLabel, column) => {
+        const value = grid[row][column];
+        const rect = this.createSvgElement('rect', {
+          x: labelWidth + column * cell + 1,
+          y: y + 1,
+          width: cell - 2,
+          height: cell - 2,
+          rx: 3,
+          fill: value > 0 ? `rgba(${color}, ${0.15 + 0.85 * value / maxValue})` : 'rgba(255, 255, 255, 0.04)'
+        });
+        this.addTitle(rect, `${label} ${columnLabel}: ${formatValue(value)}`);
+        svg.appendChild(rect);
+      });
+    });
+  }
+}
@@ -0,0 +1,309 @@
+class FocusBlockerDashboard {
+  constructor() {
+    this.charts = new FocusBlockerCharts();
+    this.range = 'day';
+    this.history = null;
+    
+    this.initialize();
+  }
+  
+  async initialize() {
+    console.log('[Focus Blocker] Dashboard loaded');
+    
+    this.cacheElements();
+    this.setupEventListeners();
+    await this.loadHistory();
+  }
+  
+  cacheElements() {
+    this.rangeButtons = document.querySelectorAll('[data-range]');
+    this.errorMessageElement = document.getElementById('errorMessage');
+    this.timelineTitleElement = document.getElementById('timelineTitle');
+    this.timelineChartElement = document.getElementById('timelineChart');
+    this.topSitesChartElement = document.getElementById('topSitesChart');
+    this.heatmapChartElement = document.getElementById('heatmapChart');
+    this.pauseListElement = document.getElementById('pauseList');
+    this.exportJsonButton = document.getElementById('exportJsonButton');
+    this.exportCsvButton = document.getElementById('exportCsvButton');
+    this.importFileElement = document.getElementById('importFile');
+    this.importButton = document.getElementById('importButton');
+    this.dataStatusElement = document.getElementById('dataStatus');
+    this.summaryElements = {
+      time: document.getElementById('summaryTime'),
+      overBudget: document.getElementById('summaryOverBudget'),
+      sessions: document.getElementById('summarySessions'),
+      blurEvents: document.getElementById('summaryBlurEvents'),
+      waterBreaks: document.getElementById('summaryWaterBreaks'),
+      failedTests: document.getElementById('summaryFailedTests'),
+      pauses: document.getElementById('summaryPauses')
+    };
+  }
+  
+  setupEventListeners() {
+    this.rangeButtons.forEach(button => {
+      button.addEventListener('click', () => this.setRange(button.dataset.range));
+    });
+    this.exportJsonButton.addEventListener('click', () => this.handleExportClick('json'));
+    this.exportCsvButton.addEventListener('click', () => this.handleExportClick('csv'));
+    this.importButton.addEventListener('click', () => this.handleImportClick());
+  }
+  
+  async loadHistory() {
+    try {
+      this.history = await chrome.runtime.sendMessage({ action: 'getHistory' });
+      this.errorMessageElement.style.display = 'none';
+      this.render();
+    } catch (error) {
+      console.error('[Focus Blocker] Failed to load history:', error);
+      this.errorMessageElement.style.display = 'block';
+    }
+  }
+  
+  setRange(range) {
+    this.range = range;
+    this.rangeButtons.forEach(button => {
+      button.classList.toggle('active', button.dataset.range === range);
+    });
+    this.render();
+  }
+  
+  getRangeDateKeys() {
+    const dayCount = { day: 1, week: 7, month: 30 }[this.range];
+    const keys = [];
+    
+    for (let i = dayCount - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      keys.push(FocusBlockerHistory.dateKey(date));
+    }
+    return keys;
+  }
+  
+  getDaySites(dateKey) {
+    return Object.entries(this.history?.days?.[dateKey]?.sites || {});
+  }
+  
+  render() {
+    if (!this.history) return;
+    
+    const dateKeys = this.getRangeDateKeys();
+    this.renderSummary(dateKeys);
+    this.renderTimeline(dateKeys);
+    this.renderTopSites(dateKeys);
+    this.renderHeatmap(dateKeys);
+    this.renderPauses(dateKeys);
+  }
+  
+  renderSummary(dateKeys) {
+    const summary = { time: 0, overBudget: 0, sessions: 0, blurEvents: 0, waterBreaks: 0, failedTests: 0, pauses: 0 };
+    
+    dateKeys.forEach(dateKey => {
+      summary.waterBreaks += this.history.days[dateKey]?.waterBreaks || 0;
+      summary.failedTests += this.history.days[dateKey]?.failedSobrietyTests || 0;
+      summary.pauses += this.history.days[dateKey]?.pauses?.length || 0;
+      this.getDaySites(dateKey).forEach(([, site]) => {
+        summary.time += site.time;
+        summary.overBudget += site.overBudgetTime;
+        summary.sessions += site.sessions;
+        summary.blurEvents += site.blurEvents;
+      });
+    });
+    
+    this.summaryElements.time.textContent = this.formatDuration(summary.time);
+    this.summaryElements.overBudget.textContent = this.formatDuration(summary.overBudget);
+    this.summaryElements.sessions.textContent = summary.sessions;
+    this.summaryElements.blurEvents.textContent = summary.blurEvents;
+    this.summaryElements.waterBreaks.textContent = summary.waterBreaks;
+    this.summaryElements.failedTests.textContent = summary.failedTests;
+    this.summaryElements.pauses.textContent = summary.pauses;
+  }
+  
+  renderTimeline(dateKeys) {
+    const formatValue = (value) => this.formatDuration(value);
+    let bars;
+    
+    if (this.range === 'day') {
+      this.timelineTitleElement.textContent = 'Today by hour';
+      const hours = new Array(24).fill(0);
+      this.getDaySites(dateKeys[0]).forEach(([, site]) => {
+        site.hours.forEach((time, hour) => { hours[hour] += time; });
+      });
+      
+      bars = hours.map((time, hour) => ({
+        label: String(hour).padStart(2, '0'),
+        segments: [{ value: time, color: '#00f2ff' }]
+      }));
+    } else {
+      this.timelineTitleElement.textContent = `Last ${dateKeys.length} days`;
+      bars = dateKeys.map(dateKey => {
+        const sites = this.getDaySites(dateKey);
+        const time = sites.reduce((sum, [, site]) => sum + site.time, 0);
+        const overBudget = sites.reduce((sum, [, site]) => sum + site.overBudgetTime, 0);
+        const date = new Date(`${dateKey}T00:00:00`);
+        
+        return {
+          label: this.range === 'week' ? 
+            date.toLocaleDateString(undefined, { weekday: 'short' }) : 
+            String(date.getDate()),
+          title: `${dateKey}: ${formatValue(time)} (${formatValue(overBudget)} over budget)`,
+          segments: [
+            { value: time - overBudget, color: '#00f2ff' },
+            { value: overBudget, color: '#ff3366' }
+          ]
+        };
+      });
+    }
+    
+    this.charts.renderBarChart(this.timelineChartElement, bars, { formatValue });
+  }
+  
+  renderTopSites(dateKeys) {
+    const totals = new Map();
+    
+    dateKeys.forEach(dateKey => {
+      this.getDaySites(dateKey).forEach(([siteKey, site]) => {
+        totals.set(siteKey, (totals.get(siteKey) || 0) + site.time);
+      });
+    });
+    
+    const rows = Array.from(totals.entries())
+      .filter(([, time]) => time > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 8)
+      .map(([siteKey, time]) => ({ label: siteKey, value: time, text: this.formatDuration(time) }));
+    
+    this.charts.renderHorizontalBars(this.topSitesChartElement, rows);
+  }
+  
+  renderHeatmap(dateKeys) {
+    const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const grid = weekdays.map(() => new Array(24).fill(0));
+    
+    dateKeys.forEach(dateKey => {
+      const weekday = (new Date(`${dateKey}T00:00:00`).getDay() + 6) % 7;
+      this.getDaySites(dateKey).forEach(([, site]) => {
+        site.hours.forEach((time, hour) => { grid[weekday][hour] += time; });
+      });
+    });
+    
+    const hours = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+    this.charts.renderHeatmap(this.heatmapChartElement, grid, weekdays, hours, {
+      formatValue: (value) => this.formatDuration(value)
+    });
+  }
+  
+  renderPauses(dateKeys) {
+    const pauses = dateKeys
+      .flatMap(dateKey => this.history.days[dateKey]?.pauses || [])
+      .sort((a, b) => b.start - a.start);
+    
+    if (pauses.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = 'No pauses in this period';
+      this.pauseListElement.replaceChildren(empty);
+      return;
+    }
+    
+    this.pauseListElement.replaceChildren(...pauses.map(pause => {
+      const row = document.createElement('div');
+      row.className = 'pause-row';
+      
+      const when = document.createElement('span');
+      when.className = 'pause-when';
+      when.textContent = new Date(pause.start).toLocaleString(undefined, {
+        weekday: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+      });
+      
+      const length = document.createElement('span');
+      length.className = 'pause-length';
+      length.textContent = this.formatDuration(pause.end - pause.start);
+      
+      const reason = document.createElement('span');
+      reason.textContent = pause.reason;
+      
+      row.append(when, length, reason);
+      return row;
+    }));
+  }
+  
+  async handleExportClick(format) {
+    try {
+      const data = await chrome.runtime.sendMessage({ action: 'exportData' });
+      if (!data) throw new Error('No data returned');
+      
+      const stamp = FocusBlockerHistory.dateKey(Date.now());
+      if (format === 'csv') {
+        this.download(`drunkscrolling-${stamp}.csv`, FocusBlockerDataTransfer.toCsv(data.history.days), 'text/csv');
+      } else {
+        this.download(`drunkscrolling-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+      }
+      this.showDataStatus('Export ready');
+    } catch (error) {
+      console.error('[Focus Blocker] Export failed:', error);
+      this.showDataStatus('Export failed', true);
+    }
+  }
+  
+  download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  async handleImportClick() {
+    const file = this.importFileElement.files[0];
+    if (!file) {
+      this.showDataStatus('Choose a JSON export first', true);
+      return;
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      this.showDataStatus('That file is not valid JSON', true);
+      return;
+    }
+    
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    if (mode === 'replace' && !confirm('Replace all settings and history with this file?')) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'importData', data, mode });
+      if (!response?.success) {
+        this.showDataStatus(`Import failed:\n${(response?.errors || []).slice(0, 5).join('\n')}`, true);
+        return;
+      }
+      
+      this.showDataStatus(`Imported ${response.days} days of history`);
+      this.importFileElement.value = '';
+      await this.loadHistory();
+    } catch (error) {
+      console.error('[Focus Blocker] Import failed:', error);
+      this.showDataStatus('Import failed', true);
+    }
+  }
+  
+  showDataStatus(message, isError = false) {
+    this.dataStatusElement.textContent = message;
+    this.dataStatusElement.classList.toggle('error-status', isError);
+  }
+  
+  formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+}
+
+// Initialize the dashboard
+new FocusBlockerDashboard();
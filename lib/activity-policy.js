@@ -0,0 +1,34 @@
+// Decides whether time on a target tab counts toward the budget. Tabs are
+// described by what the background knows about them: focused (active tab of
+// the focused window), visible, playing and audible (as reported by the page).
+// Policies:
+//   focused          - only the focused tab
+//   focusedOrAudible - the focused tab, plus background tabs playing sound
+//   visible          - any tab on screen, e.g. side-by-side windows
+// Idle users only count while media is playing; a locked screen never counts.
+class FocusBlockerActivityPolicy {
+  static POLICIES = ['focused', 'focusedOrAudible', 'visible'];
+  
+  getPolicy(config) {
+    const policy = config?.countingPolicy;
+    return FocusBlockerActivityPolicy.POLICIES.includes(policy) ? policy : 'focused';
+  }
+  
+  isEngaged(tab, idleState) {
+    if (idleState === 'locked') return false;
+    return idleState === 'active' || tab.playing;
+  }
+  
+  shouldCount(tab, idleState, config) {
+    const engaged = this.isEngaged(tab, idleState);
+    
+    switch (this.getPolicy(config)) {
+      case 'focusedOrAudible':
+        return (tab.focused && engaged) || (tab.audible && idleState !== 'locked');
+      case 'visible':
+        return tab.visible && engaged;
+      default:
+        return tab.focused && engaged;
+    }
+  }
+}
@@ -0,0 +1,110 @@
+// Allowlisted content on target sites: talks, tutorials and other things that
+// have to be watched never count toward the budget and never get blurred.
+// Entries are strings:
+//   channel:<handle, id or name>  - YouTube channels, e.g. "channel:@GoogleDevelopers"
+//   playlist:<id>                 - YouTube playlists, the list= parameter
+//   subreddit:<name> or r/<name>  - a subreddit and everything in it
+//   anything else                 - a site pattern, same syntax as blurrableSites
+// A YouTube watch page's URL names the video, not its channel, so pages report
+// the channels they show (content/page-context.js) and those are matched too.
+class FocusBlockerAllowlist {
+  static KINDS = ['channel', 'playlist', 'subreddit'];
+  
+  constructor(urlMatcher) {
+    this.urlMatcher = urlMatcher;
+    this.rules = [];
+    this.rulesSource = null;
+  }
+  
+  parseEntry(entry) {
+    const text = String(entry).trim();
+    if (!text) return null;
+    
+    const subreddit = text.match(/^\/?r\/([^/\s]+)\/?$/i);
+    if (subreddit) return { text, kind: 'subreddit', value: subreddit[1].toLowerCase() };
+    
+    const typed = text.match(/^([a-z]+):(?!\/\/)\s*(.*)$/i);
+    if (typed && FocusBlockerAllowlist.KINDS.includes(typed[1].toLowerCase())) {
+      const kind = typed[1].toLowerCase();
+      const value = this.normalize(kind, typed[2]);
+      return value ? { text, kind, value } : null;
+    }
+    
+    return { text, kind: 'url', rule: this.urlMatcher.parseRule(text) };
+  }
+  
+  normalize(kind, value) {
+    const trimmed = value.trim();
+    
+    // Playlist ids are case sensitive; handles, channel ids and subreddits aren't
+    if (kind === 'playlist') return trimmed;
+    if (kind === 'subreddit') return trimmed.replace(/^\/?r\//i, '').toLowerCase();
+    return trimmed.toLowerCase();
+  }
+  
+  getRules(config) {
+    const source = config?.allowlist || [];
+    
+    if (source !== this.rulesSource) {
+      this.rules = source
+        .map(entry => this.parseEntry(entry))
+        .filter(Boolean);
+      this.rulesSource = source;
+    }
+    return this.rules;
+  }
+  
+  // Channels, playlists and subreddits the URL itself names
+  getUrlContext(url) {
+    const context = { channels: [], playlists: [], subreddits: [] };
+    
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return context;
+    }
+    
+    const host = parsed.hostname.toLowerCase();
+    const segments = parsed.pathname.split('/').filter(Boolean).map(segment => this.decode(segment));
+    const onHost = (domain) => host === domain || host.endsWith(`.${domain}`);
+    
+    if (onHost('youtube.com')) {
+      if (segments[0]?.startsWith('@')) context.channels.push(segments[0]);
+      if (['channel', 'c', 'user'].includes(segments[0]) && segments[1]) context.channels.push(segments[1]);
+      
+      const playlist = parsed.searchParams.get('list');
+      if (playlist) context.playlists.push(playlist);
+    } else if (onHost('reddit.com')) {
+      if (segments[0] === 'r' && segments[1]) context.subreddits.push(segments[1]);
+    }
+    return context;
+  }
+  
+  decode(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  }
+  
+  // The first rule the page falls under, or null. pageContext is what the
+  // page reported for this same URL, if anything.
+  findMatch(config, url, pageContext = null) {
+    const rules = this.getRules(config);
+    if (rules.length === 0) return null;
+    
+    const urlContext = this.getUrlContext(url);
+    const lower = (values) => values.map(value => value.toLowerCase());
+    const values = {
+      channel: new Set(lower([...urlContext.channels, ...(pageContext?.channels || [])])),
+      playlist: new Set([...urlContext.playlists, ...(pageContext?.playlists || [])]),
+      subreddit: new Set(lower([...urlContext.subreddits, ...(pageContext?.subreddits || [])]))
+    };
+    
+    return rules.find(rule => rule.kind === 'url' ?
+      this.urlMatcher.matchesRule(rule.rule, url) :
+      values[rule.kind].has(rule.value)) || null;
+  }
+}
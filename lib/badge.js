@@ -0,0 +1,45 @@
+// What the toolbar badge shows for a tab, worked out from the same state the
+// background pushes to the page. Styles:
+//   countdown - minutes left on target sites, plus the markers below
+//   markers   - only the markers: "H2O" on a water break, "DD" while paused
+//               (designated driver), "OK" on allowlisted content, "!!" when blurred
+// Non-target pages (and a disabled badge) show nothing.
+class FocusBlockerBadge {
+  static DEFAULTS = {
+    enabled: true,
+    style: 'countdown',
+    warnAtMinutes: 1
+  };
+  
+  static COLORS = {
+    counting: '#2196F3',
+    warning: '#FFB300',
+    blurred: '#F44336',
+    waterBreak: '#4CAF50',
+    paused: '#9E9E9E',
+    allowlisted: '#009688'
+  };
+  
+  getSettings(config) {
+    return { ...FocusBlockerBadge.DEFAULTS, ...config?.badge };
+  }
+  
+  // Returns { text, color }; color is null when there's nothing to show
+  describe(state, config, now = Date.now()) {
+    const settings = this.getSettings(config);
+    const colors = FocusBlockerBadge.COLORS;
+    
+    if (!settings.enabled || !state.isTarget) return { text: '', color: null };
+    if (state.waterBreakEndTime > now) return { text: 'H2O', color: colors.waterBreak };
+    if (state.pauseEndTime > now) return { text: 'DD', color: colors.paused };
+    if (state.allowlisted) return { text: 'OK', color: colors.allowlisted };
+    if (state.shouldBeBlurred) return { text: '!!', color: colors.blurred };
+    if (settings.style !== 'countdown') return { text: '', color: null };
+    
+    const minutes = Math.ceil(Math.max(0, state.timeoutMs - state.intoxicationTime) / 60000);
+    return {
+      text: minutes > 99 ? `${Math.floor(minutes / 60)}h` : `${minutes}m`,
+      color: minutes <= settings.warnAtMinutes ? colors.warning : colors.counting
+    };
+  }
+}
@@ -0,0 +1,281 @@
+// Export/import format for settings and usage. The export is the persisted
+// storage model (settings overrides, usage state trackers and history days)
+// wrapped in a versioned envelope.
+class FocusBlockerDataTransfer {
+  static FORMAT = 'drunkscrolling-export';
+  static VERSION = 1;
+  
+  static createExport({ settings, siteTimeTrackers, days }) {
+    return {
+      format: FocusBlockerDataTransfer.FORMAT,
+      version: FocusBlockerDataTransfer.VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: settings,
+      usage: { siteTimeTrackers: siteTimeTrackers },
+      history: { days: days }
+    };
+  }
+  
+  static validate(data) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isCount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    
+    if (!isObject(data)) return ['File is not a JSON object'];
+    if (data.format !== FocusBlockerDataTransfer.FORMAT) errors.push('Not a Drunkscrolling export');
+    if (!Number.isInteger(data.version) || data.version > FocusBlockerDataTransfer.VERSION) {
+      errors.push(`Unsupported export version: ${data.version}`);
+    }
+    
+    if (data.settings !== undefined) {
+      if (!isObject(data.settings)) {
+        errors.push('settings must be an object');
+      } else {
+        errors.push(...FocusBlockerDataTransfer.validateSettings(data.settings));
+      }
+    }
+    
+    const trackers = data.usage?.siteTimeTrackers;
+    if (trackers !== undefined) {
+      if (!isObject(trackers)) {
+        errors.push('usage.siteTimeTrackers must be an object');
+      } else {
+        Object.entries(trackers).forEach(([siteKey, tracker]) => {
+          if (!isObject(tracker) || !isCount(tracker.totalElapsedTime) || typeof tracker.lastResetDate !== 'string' ||
+              (tracker.intoxicationTime !== undefined && !isCount(tracker.intoxicationTime))) {
+            errors.push(`usage.siteTimeTrackers.${siteKey} is invalid`);
+          }
+        });
+      }
+    }
+    
+    const days = data.history?.days;
+    if (days !== undefined) {
+      if (!isObject(days)) {
+        errors.push('history.days must be an object');
+      } else {
+        Object.entries(days).forEach(([dateKey, day]) => {
+          const path = `history.days.${dateKey}`;
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) errors.push(`${path}: date must be YYYY-MM-DD`);
+          if (!isObject(day) || !isCount(day.waterBreaks) || !isObject(day.sites)) {
+            errors.push(`${path} is invalid`);
+            return;
+          }
+          if (day.failedSobrietyTests !== undefined && !isCount(day.failedSobrietyTests)) {
+            errors.push(`${path}.failedSobrietyTests must be a count`);
+          }
+          if (day.pauses !== undefined) {
+            const valid = Array.isArray(day.pauses) && day.pauses.every(pause =>
+              isObject(pause) && isCount(pause.start) && isCount(pause.end) && pause.end >= pause.start &&
+              typeof pause.duration === 'string' && typeof pause.reason === 'string');
+            if (!valid) errors.push(`${path}.pauses is invalid`);
+          }
+          
+          Object.entries(day.sites).forEach(([siteKey, site]) => {
+            const valid = isObject(site) &&
+              ['time', 'overBudgetTime', 'sessions', 'blurEvents'].every(field => isCount(site[field])) &&
+              Array.isArray(site.hours) && site.hours.length === 24 && site.hours.every(isCount);
+            if (!valid) errors.push(`${path}.sites.${siteKey} is invalid`);
+          });
+        });
+      }
+    }
+    
+    return errors;
+  }
+  
+  // One check per settings key, the same rules the options page enforces.
+  // Overrides can be partial, so nested groups only check the fields they have.
+  static getSettingsChecks() {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isNumber = (min = 0, max = Infinity) => (value) =>
+      typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+    const isPositive = (value) => isNumber()(value) && value > 0;
+    const isBoolean = (value) => typeof value === 'boolean';
+    const isString = (value) => typeof value === 'string';
+    const isOneOf = (...options) => (value) => options.includes(value);
+    const isList = (check) => (value) => Array.isArray(value) && value.every(check);
+    const isTime = (value) => isString(value) && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    const isGroup = (fields) => (value) => isObject(value) &&
+      Object.entries(fields).every(([name, check]) => value[name] === undefined || check(value[name]));
+    const isChance = isNumber(0, 1);
+    const isEffects = (value) => isList(isString)(value) || (isObject(value) && Object.values(value).every(isNumber()));
+    const isBlurRange = (value) => value.blurMin === undefined || value.blurMax === undefined || value.blurMin <= value.blurMax;
+    const isSiteRule = (entry) => isString(entry) || (isGroup({
+      site: isString,
+      timeoutSeconds: isPositive,
+      blurMin: isNumber(),
+      blurMax: isNumber(),
+      blurChance: isChance,
+      effects: isEffects,
+      selectors: isList(isString),
+      renderer: isOneOf('auto', 'filter', 'overlay')
+    })(entry) && isString(entry.site) && isBlurRange(entry));
+    
+    return {
+      blurrableSites: (value) => isList(isSiteRule)(value) && value.length > 0,
+      allowlist: isList(isString),
+      timeoutSeconds: isPositive,
+      blurIntensity: isString,
+      contentCheckIntervalMs: isPositive,
+      enableDebugLogging: isBoolean,
+      blurChance: isChance,
+      blurMin: isNumber(),
+      blurMax: isNumber(),
+      blurCheckInterval: isNumber(),
+      effects: isEffects,
+      renderer: isOneOf('auto', 'filter', 'overlay'),
+      inputEffects: isGroup({
+        scrollInertia: isGroup({ enabled: isBoolean, strength: isChance }),
+        wheelDelay: isGroup({ enabled: isBoolean, delayMs: isNumber() }),
+        cursorDrift: isGroup({ enabled: isBoolean, maxOffsetPx: isNumber() }),
+        clickOffset: isGroup({ enabled: isBoolean, chance: isChance, maxOffsetPx: isNumber() })
+      }),
+      schedules: isList((schedule) => isGroup({
+        name: isString,
+        days: isList((day) => Number.isInteger(day) && day >= 0 && day <= 6),
+        start: isTime,
+        end: isTime,
+        sites: isList(isString),
+        timeoutSeconds: isPositive,
+        blocked: isBoolean
+      })(schedule) && Array.isArray(schedule.days)),
+      waterBreak: isGroup({
+        durationSeconds: isPositive,
+        dailyAllowance: isNumber(),
+        cooldownSeconds: isNumber(),
+        earnAwayMinutes: isNumber(),
+        maxEarnedPerDay: isNumber()
+      }),
+      badge: isGroup({ enabled: isBoolean, style: isOneOf('countdown', 'markers'), warnAtMinutes: isNumber() }),
+      hud: isGroup({
+        enabled: isBoolean,
+        warnAtPercent: isList((percent) => isNumber(0, 100)(percent) && percent > 0 && percent < 100),
+        warnAtSecondsLeft: isList(isPositive),
+        hiddenSites: isList(isString)
+      }),
+      sobrietyTest: isGroup({
+        enabled: isBoolean,
+        types: isList(isOneOf('typing', 'arithmetic', 'balance')),
+        timeLimitSeconds: isNumber(5)
+      }),
+      pause: isGroup({ enabled: isBoolean, waitSeconds: isNumber(30), minReasonLength: isNumber() }),
+      intoxicationLevels: (value) => isList(isGroup({
+        name: isString,
+        overBudgetRatio: isNumber(),
+        intensity: isChance,
+        blurChance: isChance,
+        effects: isEffects
+      }))(value) && value.length > 0,
+      countingPolicy: isOneOf('focused', 'focusedOrAudible', 'visible'),
+      idleThresholdSeconds: isNumber(15),
+      metabolism: isGroup({ enabled: isBoolean, eliminationRate: isNumber() }),
+      persistIntervalMs: isPositive,
+      historyRetentionDays: isNumber(1)
+    };
+  }
+  
+  static validateSettings(settings) {
+    const checks = FocusBlockerDataTransfer.getSettingsChecks();
+    const errors = Object.entries(checks)
+      .filter(([key, check]) => settings[key] !== undefined && !check(settings[key]))
+      .map(([key]) => `settings.${key} is invalid`);
+    
+    if (typeof settings.blurMin === 'number' && typeof settings.blurMax === 'number' && settings.blurMin > settings.blurMax) {
+      errors.push('settings.blurMin cannot be larger than settings.blurMax');
+    }
+    return errors;
+  }
+  
+  // The known settings keys only; anything else in an import is dropped
+  static pickSettings(settings) {
+    const checks = FocusBlockerDataTransfer.getSettingsChecks();
+    return Object.fromEntries(Object.entries(settings).filter(([key]) => key in checks));
+  }
+  
+  static mergeDays(current, incoming) {
+    // Keep the larger value of every counter, so importing the same file twice changes nothing
+    const merged = structuredClone(current);
+    
+    Object.entries(incoming).forEach(([dateKey, day]) => {
+      const target = merged[dateKey] || (merged[dateKey] = { waterBreaks: 0, sites: {} });
+      target.waterBreaks = Math.max(target.waterBreaks, day.waterBreaks);
+      if (day.failedSobrietyTests !== undefined) {
+        target.failedSobrietyTests = Math.max(target.failedSobrietyTests || 0, day.failedSobrietyTests);
+      }
+      if (day.pauses !== undefined) {
+        // Pauses are events rather than counters; one per start time
+        const starts = new Set((target.pauses || []).map(pause => pause.start));
+        const added = day.pauses.filter(pause => !starts.has(pause.start));
+        target.pauses = [...(target.pauses || []), ...structuredClone(added)].sort((a, b) => a.start - b.start);
+      }
+      
+      Object.entries(day.sites).forEach(([siteKey, site]) => {
+        const existing = target.sites[siteKey];
+        if (!existing) {
+          target.sites[siteKey] = structuredClone(site);
+          return;
+        }
+        
+        ['time', 'overBudgetTime', 'sessions', 'blurEvents'].forEach(field => {
+          existing[field] = Math.max(existing[field], site[field]);
+        });
+        existing.hours = existing.hours.map((time, hour) => Math.max(time, site.hours[hour]));
+      });
+    });
+    return merged;
+  }
+  
+  static mergeTrackers(current, incoming) {
+    const merged = structuredClone(current);
+    
+    Object.entries(incoming).forEach(([siteKey, tracker]) => {
+      const existing = merged[siteKey];
+      if (!existing || existing.lastResetDate !== tracker.lastResetDate) {
+        // A tracker from an older day is rolled over anyway, so the newer one wins
+        if (!existing || new Date(tracker.lastResetDate) > new Date(existing.lastResetDate)) {
+          merged[siteKey] = { ...tracker };
+        }
+        return;
+      }
+      existing.totalElapsedTime = Math.max(existing.totalElapsedTime, tracker.totalElapsedTime);
+      if (tracker.intoxicationTime !== undefined) {
+        existing.intoxicationTime = Math.max(existing.intoxicationTime ?? 0, tracker.intoxicationTime);
+      }
+    });
+    return merged;
+  }
+  
+  static toCsv(days) {
+    const rows = [['date', 'site', 'time_seconds', 'over_budget_seconds', 'sessions', 'blur_events', 'day_water_breaks']];
+    
+    Object.keys(days).sort().forEach(dateKey => {
+      const day = days[dateKey];
+      const sites = Object.entries(day.sites);
+      
+      if (sites.length === 0) {
+        rows.push([dateKey, '', 0, 0, 0, 0, day.waterBreaks]);
+      }
+      sites.forEach(([siteKey, site]) => {
+        rows.push([
+          dateKey,
+          siteKey,
+          Math.round(site.time / 1000),
+          Math.round(site.overBudgetTime / 1000),
+          site.sessions,
+          site.blurEvents,
+          day.waterBreaks
+        ]);
+      });
+    });
+    
+    return rows.map(row => row.map(value => FocusBlockerDataTransfer.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+  }
+  
+  // Site names come from the user's settings or an imported file; a cell
+  // starting with a formula character would run as a formula in a spreadsheet
+  static escapeCsv(value) {
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
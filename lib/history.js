@@ -0,0 +1,136 @@
+// Per-day, per-site usage history:
+//   days[YYYY-MM-DD] = {
+//     waterBreaks, failedSobrietyTests,
+//     pauses: [{ start, end, duration, reason }],
+//     sites: { [siteKey]: { time, overBudgetTime, sessions, blurEvents, hours[24] } }
+//   }
+// Stored in its own FocusBlockerStorage record so the frequently written
+// usage state stays small.
+class FocusBlockerHistory {
+  constructor(store) {
+    this.store = store;
+    this.days = {};
+    this.dirty = false;
+  }
+  
+  async load() {
+    const saved = await this.store.load();
+    this.days = saved?.data.days || {};
+  }
+  
+  save() {
+    if (!this.dirty) return Promise.resolve();
+    
+    // Cleared up front so changes made during the write mark it again; a
+    // failed write has to be retried with the next save
+    this.dirty = false;
+    return this.store.save({ days: this.days }).catch(error => {
+      this.dirty = true;
+      throw error;
+    });
+  }
+  
+  replaceDays(days) {
+    this.days = days;
+    this.dirty = true;
+  }
+  
+  static dateKey(time) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+  
+  getDay(dateKey) {
+    if (!this.days[dateKey]) {
+      this.days[dateKey] = { waterBreaks: 0, sites: {} };
+    }
+    return this.days[dateKey];
+  }
+  
+  getSite(dateKey, siteKey) {
+    const day = this.getDay(dateKey);
+    if (!day.sites[siteKey]) {
+      day.sites[siteKey] = {
+        time: 0,
+        overBudgetTime: 0,
+        sessions: 0,
+        blurEvents: 0,
+        hours: new Array(24).fill(0)
+      };
+    }
+    return day.sites[siteKey];
+  }
+  
+  recordTime(siteKey, from, to, overBudgetMs = 0) {
+    if (to <= from) return;
+    
+    // Split on hour boundaries so each slice lands in the right day and hour
+    let sliceStart = from;
+    while (sliceStart < to) {
+      const nextHour = new Date(sliceStart).setMinutes(60, 0, 0);
+      const sliceEnd = Math.min(to, nextHour);
+      const site = this.getSite(FocusBlockerHistory.dateKey(sliceStart), siteKey);
+      
+      site.time += sliceEnd - sliceStart;
+      site.hours[new Date(sliceStart).getHours()] += sliceEnd - sliceStart;
+      sliceStart = sliceEnd;
+    }
+    
+    if (overBudgetMs > 0) {
+      this.getSite(FocusBlockerHistory.dateKey(to), siteKey).overBudgetTime += overBudgetMs;
+    }
+    this.dirty = true;
+  }
+  
+  recordSession(siteKey, time = Date.now()) {
+    this.getSite(FocusBlockerHistory.dateKey(time), siteKey).sessions++;
+    this.dirty = true;
+  }
+  
+  recordBlurEvent(siteKey, time = Date.now()) {
+    this.getSite(FocusBlockerHistory.dateKey(time), siteKey).blurEvents++;
+    this.dirty = true;
+  }
+  
+  recordWaterBreak(time = Date.now()) {
+    this.getDay(FocusBlockerHistory.dateKey(time)).waterBreaks++;
+    this.dirty = true;
+  }
+  
+  recordFailedSobrietyTest(time = Date.now()) {
+    const day = this.getDay(FocusBlockerHistory.dateKey(time));
+    day.failedSobrietyTests = (day.failedSobrietyTests || 0) + 1;
+    this.dirty = true;
+  }
+  
+  getFailedSobrietyTests(time = Date.now()) {
+    return this.days[FocusBlockerHistory.dateKey(time)]?.failedSobrietyTests || 0;
+  }
+  
+  // Logged once the pause is over, on the day it started, with when it really ended
+  recordPause(pause) {
+    const day = this.getDay(FocusBlockerHistory.dateKey(pause.startTime));
+    if (!day.pauses) day.pauses = [];
+    
+    day.pauses.push({
+      start: pause.startTime,
+      end: pause.endTime,
+      duration: pause.duration,
+      reason: pause.reason
+    });
+    this.dirty = true;
+  }
+  
+  prune(retentionDays, now = Date.now()) {
+    const cutoff = FocusBlockerHistory.dateKey(now - retentionDays * 24 * 60 * 60 * 1000);
+    
+    Object.keys(this.days).forEach(dateKey => {
+      if (dateKey < cutoff) {
+        delete this.days[dateKey];
+        this.dirty = true;
+      }
+    });
+  }
+}
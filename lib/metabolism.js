@@ -0,0 +1,55 @@
+// Optional "sobering up" model. Each site tracker keeps an intoxicationTime next
+// to its daily total: it grows with time on the site like the total does, but
+// instead of resetting at midnight it wears off at `eliminationRate` (ms of
+// accumulated time per ms) while no target site is being used, the way BAC
+// falls at a steady rate after the last drink. With the model off it simply
+// mirrors the daily total.
+class FocusBlockerMetabolism {
+  static DEFAULTS = {
+    enabled: false,
+    eliminationRate: 0.5
+  };
+  
+  constructor() {
+    // When the last target session ended, null while one is running
+    this.soberSince = null;
+  }
+  
+  getSettings(config) {
+    return { ...FocusBlockerMetabolism.DEFAULTS, ...config?.metabolism };
+  }
+  
+  isEnabled(config) {
+    return this.getSettings(config).enabled === true;
+  }
+  
+  eliminate(level, awayMs, config) {
+    if (!this.isEnabled(config)) return level;
+    return Math.max(0, level - awayMs * this.getSettings(config).eliminationRate);
+  }
+  
+  getPendingAwayMs(time = Date.now()) {
+    return this.soberSince !== null ? Math.max(0, time - this.soberSince) : 0;
+  }
+  
+  getLevel(tracker, config, time = Date.now()) {
+    if (!this.isEnabled(config)) return tracker.totalElapsedTime;
+    
+    const level = tracker.intoxicationTime ?? tracker.totalElapsedTime;
+    return this.eliminate(level, this.getPendingAwayMs(time), config);
+  }
+  
+  startSoberingUp(time = Date.now()) {
+    if (this.soberSince === null) this.soberSince = time;
+  }
+  
+  // Settles the time spent away into every tracker before a new session starts
+  stopSoberingUp(trackers, config, time = Date.now()) {
+    if (this.soberSince === null) return;
+    
+    for (const tracker of trackers) {
+      tracker.intoxicationTime = this.getLevel(tracker, config, time);
+    }
+    this.soberSince = null;
+  }
+}
@@ -0,0 +1,135 @@
+// Designated-driver pause, for when a target site is genuinely needed (a work
+// video on YouTube). Tracking and effects stop everywhere for a set stretch:
+//   15m, 1h - that long from the moment the wait is over
+//   day     - until local midnight
+// Starting one takes a typed reason and a mandatory wait, so it's a decision
+// rather than a reflex, and it always ends by itself. The wait is never shorter
+// than Chrome's 30 second alarm minimum so the alarm can start the pause on time.
+// One pause at a time; it can be called off (or ended early) whenever.
+class FocusBlockerPause {
+  static DURATIONS = ['15m', '1h', 'day'];
+  static DEFAULTS = {
+    enabled: true,
+    waitSeconds: 60,
+    minReasonLength: 10
+  };
+  static MIN_WAIT_SECONDS = 30;
+  
+  constructor() {
+    this.state = this.createState();
+  }
+  
+  createState() {
+    return {
+      reason: null,
+      duration: null,
+      requestedAt: null,
+      startTime: null,
+      endTime: null
+    };
+  }
+  
+  restore(state) {
+    if (state && typeof state === 'object') {
+      this.state = { ...this.createState(), ...state };
+    }
+  }
+  
+  toJSON() {
+    return this.state;
+  }
+  
+  getSettings(config) {
+    const settings = { ...FocusBlockerPause.DEFAULTS, ...config?.pause };
+    settings.waitSeconds = Math.max(FocusBlockerPause.MIN_WAIT_SECONDS, settings.waitSeconds);
+    return settings;
+  }
+  
+  getEndTime(duration, startTime) {
+    switch (duration) {
+      case '15m':
+        return startTime + 15 * 60 * 1000;
+      case '1h':
+        return startTime + 60 * 60 * 1000;
+      default:
+        return new Date(startTime).setHours(24, 0, 0, 0);
+    }
+  }
+  
+  isRequested() {
+    return this.state.startTime !== null;
+  }
+  
+  // Still in the mandatory wait
+  isPending(time = Date.now()) {
+    return this.isRequested() && time < this.state.startTime;
+  }
+  
+  isActive(time = Date.now()) {
+    return this.isRequested() && time >= this.state.startTime && time < this.state.endTime;
+  }
+  
+  isOver(time = Date.now()) {
+    return this.isRequested() && time >= this.state.endTime;
+  }
+  
+  // Starts the wait if the request is acceptable; returns { success, reason }
+  request(reason, duration, config, time = Date.now()) {
+    const settings = this.getSettings(config);
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    
+    let refusal = null;
+    if (!settings.enabled) refusal = 'disabled';
+    else if (this.isRequested() && !this.isOver(time)) refusal = 'alreadyPaused';
+    else if (!FocusBlockerPause.DURATIONS.includes(duration)) refusal = 'invalidDuration';
+    else if (text.length < settings.minReasonLength) refusal = 'reasonTooShort';
+    
+    if (refusal) return { success: false, reason: refusal };
+    
+    const startTime = time + settings.waitSeconds * 1000;
+    this.state = {
+      reason: text,
+      duration: duration,
+      requestedAt: time,
+      startTime: startTime,
+      endTime: this.getEndTime(duration, startTime)
+    };
+    return { success: true, reason: null };
+  }
+  
+  // Clears the pause. Returns what actually ran, for the history, or null if
+  // it was called off during the wait
+  end(time = Date.now()) {
+    const { reason, duration, startTime, endTime } = this.state;
+    const started = this.isRequested() && time >= startTime;
+    
+    this.state = this.createState();
+    return started ? { reason, duration, startTime, endTime: Math.min(time, endTime) } : null;
+  }
+  
+  // The next moment the pause changes by itself, or null
+  getNextChangeTime(time = Date.now()) {
+    if (this.isPending(time)) return this.state.startTime;
+    if (this.isActive(time)) return this.state.endTime;
+    return null;
+  }
+  
+  getStatus(config, time = Date.now()) {
+    const settings = this.getSettings(config);
+    const pending = this.isPending(time);
+    const active = this.isActive(time);
+    
+    return {
+      enabled: settings.enabled,
+      pending: pending,
+      active: active,
+      reason: pending || active ? this.state.reason : null,
+      duration: pending || active ? this.state.duration : null,
+      startsInMs: pending ? this.state.startTime - time : 0,
+      remainingMs: active ? this.state.endTime - time : 0,
+      endTime: pending || active ? this.state.endTime : null,
+      waitSeconds: settings.waitSeconds,
+      minReasonLength: settings.minReasonLength
+    };
+  }
+}
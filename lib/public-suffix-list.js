@@ -0,0 +1,64 @@
+// Bundled subset of the Public Suffix List (https://publicsuffix.org/list/),
+// in the list's own rule syntax: plain suffixes, "*." wildcards and "!"
+// exceptions. Any single-label TLD is implicitly a public suffix, so only
+// multi-label suffixes need to be listed here. To add entries, copy the lines
+// for the relevant ccTLD or hosting provider straight from
+// public_suffix_list.dat.
+const FOCUS_BLOCKER_PUBLIC_SUFFIXES = [
+  // ICANN: second-level registrations
+  'ac.uk', 'co.uk', 'gov.uk', 'ltd.uk', 'me.uk', 'net.uk', 'nhs.uk', 'org.uk', 'plc.uk', 'police.uk', 'sch.uk',
+  'asn.au', 'com.au', 'edu.au', 'gov.au', 'id.au', 'net.au', 'org.au',
+  'ac.nz', 'co.nz', 'geek.nz', 'gen.nz', 'govt.nz', 'kiwi.nz', 'net.nz', 'org.nz', 'school.nz',
+  'ac.jp', 'ad.jp', 'co.jp', 'ed.jp', 'go.jp', 'gr.jp', 'lg.jp', 'ne.jp', 'or.jp',
+  'ac.kr', 'co.kr', 'go.kr', 'ne.kr', 'or.kr', 're.kr',
+  'com.br', 'edu.br', 'gov.br', 'net.br', 'org.br',
+  'ac.cn', 'com.cn', 'edu.cn', 'gov.cn', 'net.cn', 'org.cn',
+  'com.hk', 'edu.hk', 'gov.hk', 'net.hk', 'org.hk',
+  'com.tw', 'edu.tw', 'gov.tw', 'net.tw', 'org.tw',
+  'ac.in', 'co.in', 'edu.in', 'gov.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in',
+  'com.sg', 'edu.sg', 'gov.sg', 'net.sg', 'org.sg',
+  'com.my', 'edu.my', 'gov.my', 'net.my', 'org.my',
+  'com.ph', 'edu.ph', 'gov.ph', 'net.ph', 'org.ph',
+  'ac.id', 'co.id', 'go.id', 'or.id', 'web.id',
+  'ac.th', 'co.th', 'go.th', 'in.th', 'or.th',
+  'com.vn', 'edu.vn', 'gov.vn', 'net.vn', 'org.vn',
+  'ac.il', 'co.il', 'gov.il', 'net.il', 'org.il',
+  'com.tr', 'edu.tr', 'gov.tr', 'net.tr', 'org.tr',
+  'ac.za', 'co.za', 'gov.za', 'net.za', 'org.za', 'web.za',
+  'com.mx', 'edu.mx', 'gob.mx', 'net.mx', 'org.mx',
+  'com.ar', 'edu.ar', 'gob.ar', 'net.ar', 'org.ar',
+  'com.co', 'edu.co', 'gov.co', 'net.co', 'org.co',
+  'com.pe', 'edu.pe', 'gob.pe', 'net.pe', 'org.pe',
+  'com.ua', 'edu.ua', 'gov.ua', 'net.ua', 'org.ua',
+  'com.pl', 'edu.pl', 'gov.pl', 'net.pl', 'org.pl',
+  'com.es', 'edu.es', 'gob.es', 'nom.es', 'org.es',
+  'com.pt', 'edu.pt', 'gov.pt', 'org.pt',
+  'com.gr', 'edu.gr', 'gov.gr', 'net.gr', 'org.gr',
+  'ac.at', 'co.at', 'gv.at', 'or.at',
+  'com.ru', 'net.ru', 'org.ru', 'msk.ru', 'spb.ru',
+  'com.eg', 'edu.eg', 'gov.eg', 'net.eg', 'org.eg',
+  'com.ng', 'edu.ng', 'gov.ng', 'net.ng', 'org.ng',
+  'co.ke', 'go.ke', 'or.ke', 'ac.ke',
+  'com.pk', 'edu.pk', 'gov.pk', 'net.pk', 'org.pk',
+  'com.sa', 'edu.sa', 'gov.sa', 'net.sa', 'org.sa',
+  'ac.ae', 'co.ae', 'gov.ae', 'net.ae', 'org.ae',
+  
+  // ICANN: wildcard registries and their exceptions
+  '*.bd',
+  '*.ck', '!www.ck',
+  '*.er',
+  '*.fk',
+  '*.jm',
+  '*.kawasaki.jp', '!city.kawasaki.jp',
+  '*.kitakyushu.jp', '!city.kitakyushu.jp',
+  '*.kobe.jp', '!city.kobe.jp',
+  '*.nagoya.jp', '!city.nagoya.jp',
+  '*.sapporo.jp', '!city.sapporo.jp',
+  '*.sendai.jp', '!city.sendai.jp',
+  '*.yokohama.jp', '!city.yokohama.jp',
+  
+  // Private: hosting platforms where every subdomain belongs to someone else
+  'appspot.com', 'azurewebsites.net', 'blogspot.com', 'cloudfront.net', 'firebaseapp.com',
+  'github.io', 'gitlab.io', 'herokuapp.com', 'netlify.app', 'pages.dev', 'vercel.app',
+  'neocities.org', 'web.app', 'workers.dev'
+];
@@ -0,0 +1,77 @@
+// Time-of-day and weekday budget schedules. A schedule looks like
+//   { name, days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00',
+//     sites: ['reddit.com'], timeoutSeconds: 120, blocked: false }
+// Days are 0 (Sunday) to 6, missing days/times mean "always" and missing sites
+// mean "every target site". A window whose end is before its start runs past
+// midnight and belongs to the day it started on. The first matching schedule
+// in the list wins.
+class FocusBlockerScheduler {
+  parseTime(text, fallback) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : fallback;
+  }
+  
+  appliesToSite(schedule, rule) {
+    if (!Array.isArray(schedule.sites) || schedule.sites.length === 0) return true;
+    if (!rule?.key) return false;
+    
+    return schedule.sites.some(site => {
+      const pattern = String(site).trim().toLowerCase();
+      return pattern === rule.key || pattern === rule.host || pattern === rule.site;
+    });
+  }
+  
+  isActive(schedule, time) {
+    const date = new Date(time);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = this.parseTime(schedule.start, 0);
+    const end = this.parseTime(schedule.end, 24 * 60);
+    const days = Array.isArray(schedule.days) && schedule.days.length > 0 ? 
+      schedule.days : [0, 1, 2, 3, 4, 5, 6];
+    
+    if (start < end) {
+      return days.includes(date.getDay()) && minutes >= start && minutes < end;
+    }
+    
+    // Overnight window: the early-morning part belongs to the previous day
+    if (minutes >= start) return days.includes(date.getDay());
+    if (minutes < end) return days.includes((date.getDay() + 6) % 7);
+    return false;
+  }
+  
+  getActive(schedules, rule, time = Date.now()) {
+    return schedules.find(schedule => 
+      this.appliesToSite(schedule, rule) && this.isActive(schedule, time)
+    ) || null;
+  }
+  
+  getNextChange(schedules, rule, time = Date.now()) {
+    const current = this.getActive(schedules, rule, time);
+    const candidates = [];
+    
+    // Every start and end over the next week is a possible switchover
+    for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+      schedules.forEach(schedule => {
+        if (!this.appliesToSite(schedule, rule)) return;
+        
+        [this.parseTime(schedule.start, 0), this.parseTime(schedule.end, 24 * 60)].forEach(minutes => {
+          const candidate = new Date(time);
+          candidate.setDate(candidate.getDate() + dayOffset);
+          candidate.setHours(0, minutes, 0, 0);
+          if (candidate.getTime() > time) candidates.push(candidate.getTime());
+        });
+      });
+    }
+    
+    const nextTime = [...new Set(candidates)]
+      .sort((a, b) => a - b)
+      .find(candidate => this.getActive(schedules, rule, candidate) !== current);
+    
+    if (nextTime === undefined) return null;
+    
+    return {
+      time: nextTime,
+      schedule: this.getActive(schedules, rule, nextTime)
+    };
+  }
+}
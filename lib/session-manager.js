@@ -0,0 +1,63 @@
+// Keeps the browser's focus model (the focused window and the active tab of
+// every window) and decides which tabs should have a running session. Several
+// windows can show a target site at once and tabs move between windows, so
+// nothing here assumes a single active tab. The background owns the sessions
+// themselves and applies the plan.
+class FocusBlockerSessionManager {
+  constructor() {
+    this.focusedWindowId = null;
+    this.activeTabs = new Map(); // windowId -> tabId
+  }
+  
+  setFocusedWindow(windowId) {
+    // chrome.windows.WINDOW_ID_NONE is -1: focus left the browser
+    this.focusedWindowId = windowId >= 0 ? windowId : null;
+  }
+  
+  setActiveTab(windowId, tabId) {
+    this.activeTabs.set(windowId, tabId);
+  }
+  
+  forgetTab(tabId) {
+    this.activeTabs.forEach((activeTabId, windowId) => {
+      if (activeTabId === tabId) this.activeTabs.delete(windowId);
+    });
+  }
+  
+  getFocusedTabId() {
+    if (this.focusedWindowId === null) return null;
+    return this.activeTabs.get(this.focusedWindowId) ?? null;
+  }
+  
+  isFocused(tab) {
+    return tab.active && tab.windowId === this.focusedWindowId;
+  }
+  
+  // candidates: [{ tabId, siteKey, counts }] for every tab on a target site.
+  // Returns the sessions to end and to start so that each counting site has
+  // exactly one session. A tab that already runs a session for its site keeps
+  // it, so switching between two tabs of the same site doesn't split the time.
+  planSessions(sessions, candidates) {
+    const counting = candidates.filter(candidate => candidate.counts);
+    const keep = new Map(); // siteKey -> tabId
+    
+    counting.forEach(({ tabId, siteKey }) => {
+      if (sessions.get(tabId)?.siteKey === siteKey && !keep.has(siteKey)) {
+        keep.set(siteKey, tabId);
+      }
+    });
+    
+    const start = [];
+    counting.forEach(({ tabId, siteKey }) => {
+      if (keep.has(siteKey)) return;
+      keep.set(siteKey, tabId);
+      start.push({ tabId, siteKey });
+    });
+    
+    const keptTabs = new Set(keep.values());
+    const end = Array.from(sessions.keys()).filter(tabId =>
+      !keptTabs.has(tabId) || start.some(session => session.tabId === tabId));
+    
+    return { end, start };
+  }
+}
@@ -0,0 +1,60 @@
+// Settings = bundled config.json (factory defaults) + user overrides saved in
+// chrome.storage.local. Shared by the background and the options page.
+class FocusBlockerSettings {
+  constructor() {
+    this.storageKey = 'userConfig';
+    this.defaults = null;
+  }
+  
+  async loadDefaults() {
+    if (!this.defaults) {
+      const response = await fetch(chrome.runtime.getURL('config.json'));
+      this.defaults = await response.json();
+    }
+    return structuredClone(this.defaults);
+  }
+  
+  async loadOverrides() {
+    const stored = await chrome.storage.local.get(this.storageKey);
+    return stored[this.storageKey] || {};
+  }
+  
+  async load() {
+    const defaults = await this.loadDefaults();
+    const overrides = await this.loadOverrides();
+    return this.merge(defaults, overrides);
+  }
+  
+  // Groups like waterBreak or hud merge key by key, so fields config.json
+  // gains later still show up for users who saved the group before
+  merge(defaults, overrides) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const merged = { ...defaults };
+    
+    Object.entries(overrides).forEach(([key, value]) => {
+      merged[key] = isObject(defaults[key]) && isObject(value) ? this.merge(defaults[key], value) : value;
+    });
+    return merged;
+  }
+  
+  async save(overrides) {
+    const current = await this.loadOverrides();
+    await chrome.storage.local.set({ [this.storageKey]: { ...current, ...overrides } });
+  }
+  
+  async replace(overrides) {
+    await chrome.storage.local.set({ [this.storageKey]: overrides });
+  }
+  
+  async reset() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+  
+  onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.storageKey]) {
+        callback(changes[this.storageKey].newValue || {});
+      }
+    });
+  }
+}
@@ -0,0 +1,86 @@
+// Field sobriety tests. With `sobrietyTest.enabled` a water break isn't one
+// click in the popup any more: the focused target page shows a short challenge
+// and only a pass starts the break. The background picks the test and how hard
+// it is from the site's intoxication; the page runs it and reports back with
+// the id it was given, so stale or unrequested results are ignored. A test
+// outlasts a suspended worker, so pending challenges are saved with the usage
+// state.
+class FocusBlockerSobrietyTests {
+  static TYPES = ['typing', 'arithmetic', 'balance'];
+  static DEFAULTS = {
+    enabled: false,
+    types: FocusBlockerSobrietyTests.TYPES,
+    timeLimitSeconds: 30
+  };
+  
+  // Results may take a moment to arrive after the page's own timer runs out
+  static GRACE_MS = 5000;
+  
+  constructor() {
+    this.pending = new Map(); // tabId -> challenge
+  }
+  
+  restore(entries) {
+    if (!Array.isArray(entries)) return;
+    
+    entries.forEach(([tabId, challenge]) => {
+      if (challenge?.id && !this.isExpired(challenge)) this.pending.set(tabId, challenge);
+    });
+  }
+  
+  toJSON() {
+    return Array.from(this.pending.entries());
+  }
+  
+  getSettings(config) {
+    return { ...FocusBlockerSobrietyTests.DEFAULTS, ...config?.sobrietyTest };
+  }
+  
+  isEnabled(config) {
+    return this.getSettings(config).enabled === true;
+  }
+  
+  getTypes(config) {
+    const types = this.getSettings(config).types;
+    const valid = Array.isArray(types) ?
+      types.filter(type => FocusBlockerSobrietyTests.TYPES.includes(type)) : [];
+    return valid.length > 0 ? valid : FocusBlockerSobrietyTests.TYPES;
+  }
+  
+  // 0 when sober or under budget, 1 at the top intoxication level
+  getDifficulty(intoxication) {
+    return Math.max(0, Math.min(1, intoxication?.intensity ?? 0));
+  }
+  
+  create(tabId, intoxication, config, time = Date.now()) {
+    const types = this.getTypes(config);
+    const challenge = {
+      id: `${time.toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+      type: types[Math.floor(Math.random() * types.length)],
+      difficulty: this.getDifficulty(intoxication),
+      level: intoxication?.name || null,
+      timeLimitMs: this.getSettings(config).timeLimitSeconds * 1000,
+      issuedAt: time
+    };
+    
+    this.pending.set(tabId, challenge);
+    return challenge;
+  }
+  
+  // Returns the challenge the result belongs to, or null if there is none
+  resolve(tabId, id) {
+    const challenge = this.pending.get(tabId);
+    if (!challenge || challenge.id !== id) return null;
+    
+    this.pending.delete(tabId);
+    return challenge;
+  }
+  
+  isExpired(challenge, time = Date.now()) {
+    return time > challenge.issuedAt + challenge.timeLimitMs + FocusBlockerSobrietyTests.GRACE_MS;
+  }
+  
+  cancel(tabId) {
+    this.pending.delete(tabId);
+  }
+}
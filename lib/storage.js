@@ -0,0 +1,83 @@
+// Crash-safe persistence on top of chrome.storage.local.
+//
+// Every save goes to the older of two slots, so an interrupted write can only
+// ever damage the copy we were replacing. On load, the newest slot whose
+// checksum still matches wins.
+class FocusBlockerStorage {
+  constructor(key, version = 1) {
+    this.key = key;
+    this.version = version;
+    this.slotKeys = [`${key}:a`, `${key}:b`];
+    this.sequence = 0;
+    this.writeChain = Promise.resolve();
+  }
+  
+  async load() {
+    const stored = await chrome.storage.local.get(this.slotKeys);
+    const records = this.slotKeys
+      .map(slotKey => stored[slotKey])
+      .filter(record => this.isValidRecord(record))
+      .sort((a, b) => b.sequence - a.sequence);
+    
+    if (records.length === 0) return null;
+    
+    const latest = records[0];
+    this.sequence = latest.sequence;
+    return { data: JSON.parse(latest.payload), savedAt: latest.savedAt };
+  }
+  
+  save(data) {
+    // Serialize writes so slots are always filled in sequence order
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(() => this.writeRecord(data));
+    return this.writeChain;
+  }
+  
+  async writeRecord(data) {
+    const payload = JSON.stringify(data);
+    const sequence = this.sequence + 1;
+    const slotKey = this.slotKeys[sequence % this.slotKeys.length];
+    
+    await chrome.storage.local.set({
+      [slotKey]: {
+        version: this.version,
+        sequence: sequence,
+        savedAt: Date.now(),
+        checksum: this.checksum(payload),
+        payload: payload
+      }
+    });
+    
+    this.sequence = sequence;
+  }
+  
+  async clear() {
+    await this.writeChain.catch(() => {});
+    await chrome.storage.local.remove(this.slotKeys);
+    this.sequence = 0;
+  }
+  
+  isValidRecord(record) {
+    if (!record || typeof record.payload !== 'string') return false;
+    if (record.version !== this.version) return false;
+    if (record.checksum !== this.checksum(record.payload)) return false;
+    
+    try {
+      JSON.parse(record.payload);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  
+  checksum(text) {
+    // 32-bit FNV-1a, enough to catch truncated or half-written payloads
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+}
@@ -0,0 +1,43 @@
+// Short status message on the current page, for keyboard commands that run
+// without the popup. `show` is injected with chrome.scripting.executeScript, so
+// it works on any page (not just target sites with the content script) and has
+// to stay self-contained: no references to anything outside its own body.
+class FocusBlockerToast {
+  static DURATION_MS = 3000;
+  
+  static show = (text, durationMs) => {
+    document.querySelectorAll('focus-blocker-toast').forEach(toast => toast.remove());
+    
+    const host = document.createElement('focus-blocker-toast');
+    host.style.cssText = 'position: fixed !important; z-index: 2147483647 !important; ' +
+      'top: 16px; left: 50%; transform: translateX(-50%); pointer-events: none;';
+    const root = host.attachShadow({ mode: 'closed' });
+    
+    const style = document.createElement('style');
+    style.textContent = `
+      :host { all: initial; }
+      .toast {
+        padding: 8px 14px;
+        border-radius: 10px;
+        background: rgba(15, 15, 27, 0.9);
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+        font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+        font-size: 13px;
+        color: #e0e0e0;
+        white-space: pre-line;
+        transition: opacity 0.3s;
+      }
+      .toast.leaving { opacity: 0; }
+    `;
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.setAttribute('role', 'status');
+    toast.textContent = text;
+    root.append(style, toast);
+    document.documentElement.appendChild(host);
+    
+    setTimeout(() => toast.classList.add('leaving'), durationMs);
+    setTimeout(() => host.remove(), durationMs + 300);
+  };
+}
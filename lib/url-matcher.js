@@ -0,0 +1,126 @@
+// Site keys and site rule matching.
+//
+// Site keys are registrable domains ("bbc.co.uk", not "co.uk"), worked out with
+// the bundled public suffix list. Rules are a host plus an optional path glob,
+// e.g. "youtube.com", "youtube.com/shorts/*" or "reddit.com/r/all". Hosts only
+// match on label boundaries and paths only on segment boundaries, so "x.com"
+// never matches "netflix.com" and "/r/all" never matches "/r/allthings".
+class FocusBlockerUrlMatcher {
+  constructor(suffixRules = FOCUS_BLOCKER_PUBLIC_SUFFIXES) {
+    this.suffixes = new Set();
+    this.wildcards = new Set();
+    this.exceptions = new Set();
+    
+    suffixRules.forEach(rule => {
+      if (rule.startsWith('!')) {
+        this.exceptions.add(rule.slice(1));
+      } else if (rule.startsWith('*.')) {
+        this.wildcards.add(rule.slice(2));
+      } else {
+        this.suffixes.add(rule);
+      }
+    });
+  }
+  
+  getPublicSuffix(hostname) {
+    const labels = hostname.split('.');
+    
+    // Walk from the longest candidate down; the first (longest) match wins
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+      const parent = labels.slice(i + 1).join('.');
+      
+      if (this.exceptions.has(candidate)) return parent;
+      if (this.suffixes.has(candidate)) return candidate;
+      if (parent && this.wildcards.has(parent)) return candidate;
+    }
+    
+    // Default rule: the TLD on its own
+    return labels[labels.length - 1];
+  }
+  
+  getRegistrableDomain(hostname) {
+    if (!hostname) return null;
+    
+    hostname = hostname.toLowerCase().replace(/\.$/, '');
+    if (this.isIpAddress(hostname) || !hostname.includes('.')) return hostname;
+    
+    const suffix = this.getPublicSuffix(hostname);
+    if (suffix === hostname) return hostname;
+    
+    const rest = hostname.slice(0, -(suffix.length + 1)).split('.');
+    return `${rest[rest.length - 1]}.${suffix}`;
+  }
+  
+  isIpAddress(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[');
+  }
+  
+  getSiteKey(url) {
+    if (!url) return null;
+    
+    try {
+      return this.getRegistrableDomain(new URL(url).hostname);
+    } catch {
+      return null;
+    }
+  }
+  
+  parseRule(pattern) {
+    const cleaned = String(pattern)
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+    
+    const slashIndex = cleaned.indexOf('/');
+    const host = (slashIndex === -1 ? cleaned : cleaned.slice(0, slashIndex))
+      .replace(/^\*\./, '')
+      .replace(/^www\./, '');
+    const path = slashIndex === -1 ? '' : cleaned.slice(slashIndex).replace(/\/+$/, '');
+    
+    return {
+      key: path ? `${host}${path}` : host,
+      host: host,
+      pathPattern: path ? this.compilePathGlob(path) : null,
+      specificity: host.length + path.replace(/\*/g, '').length * 2
+    };
+  }
+  
+  compilePathGlob(path) {
+    const endsWithWildcard = path.endsWith('*');
+    const source = path
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    
+    // Without a trailing wildcard, still allow deeper paths but only on a "/" boundary
+    return new RegExp(`^${source}${endsWithWildcard ? '' : '(?:/.*)?'}$`, 'i');
+  }
+  
+  matchesRule(rule, url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return false;
+    }
+    
+    if (!/^https?:$/.test(urlObj.protocol)) return false;
+    
+    const hostname = urlObj.hostname.toLowerCase();
+    const hostMatches = hostname === rule.host || hostname.endsWith(`.${rule.host}`);
+    if (!hostMatches) return false;
+    
+    if (!rule.pathPattern) return true;
+    
+    const path = urlObj.pathname.replace(/\/+$/, '') || '/';
+    return rule.pathPattern.test(path);
+  }
+  
+  findBestRule(rules, url) {
+    // Most specific wins, so "youtube.com/shorts/*" beats "youtube.com"
+    return rules
+      .filter(rule => this.matchesRule(rule, url))
+      .sort((a, b) => b.specificity - a.specificity)[0] || null;
+  }
+}
@@ -0,0 +1,132 @@
+// Water break allowance. Each day starts with `dailyAllowance` breaks, more are
+// earned for every `earnAwayMinutes` spent off target sites (up to
+// `maxEarnedPerDay`), and a new break can only start `cooldownSeconds` after the
+// previous one ended. The background owns this state; pages only ever see the
+// status it reports.
+class FocusBlockerWaterBreaks {
+  static DEFAULTS = {
+    durationSeconds: 5,
+    dailyAllowance: 3,
+    cooldownSeconds: 600,
+    earnAwayMinutes: 30,
+    maxEarnedPerDay: 3
+  };
+  
+  constructor() {
+    this.state = this.createState();
+  }
+  
+  createState(time = Date.now()) {
+    return {
+      date: new Date(time).toDateString(),
+      used: 0,
+      awayMs: 0,
+      awaySince: null,
+      endTime: null,
+      lastEndTime: null
+    };
+  }
+  
+  restore(state) {
+    if (state && typeof state === 'object') {
+      this.state = { ...this.createState(), ...state };
+    }
+  }
+  
+  toJSON() {
+    return this.state;
+  }
+  
+  getSettings(config) {
+    return { ...FocusBlockerWaterBreaks.DEFAULTS, ...config?.waterBreak };
+  }
+  
+  rollover(time = Date.now()) {
+    const today = new Date(time).toDateString();
+    if (this.state.date === today) return;
+    
+    // Allowance and earned time are per day; a break or away stretch in
+    // progress carries over, but only the part after midnight counts
+    this.state.date = today;
+    this.state.used = 0;
+    this.state.awayMs = 0;
+    if (this.state.awaySince !== null) {
+      this.state.awaySince = Math.max(this.state.awaySince, new Date(time).setHours(0, 0, 0, 0));
+    }
+  }
+  
+  markAway(time = Date.now()) {
+    this.rollover(time);
+    if (this.state.awaySince === null) this.state.awaySince = time;
+  }
+  
+  markBack(time = Date.now()) {
+    this.rollover(time);
+    if (this.state.awaySince === null) return;
+    
+    this.state.awayMs += Math.max(0, time - this.state.awaySince);
+    this.state.awaySince = null;
+  }
+  
+  getAwayMs(time = Date.now()) {
+    const pending = this.state.awaySince !== null ? Math.max(0, time - this.state.awaySince) : 0;
+    return this.state.awayMs + pending;
+  }
+  
+  isActive(time = Date.now()) {
+    return this.state.endTime !== null && time < this.state.endTime;
+  }
+  
+  getStatus(config, time = Date.now()) {
+    this.rollover(time);
+    
+    const settings = this.getSettings(config);
+    const earnEveryMs = settings.earnAwayMinutes * 60 * 1000;
+    const awayMs = this.getAwayMs(time);
+    const earned = earnEveryMs > 0 ?
+      Math.min(settings.maxEarnedPerDay, Math.floor(awayMs / earnEveryMs)) : 0;
+    const allowance = settings.dailyAllowance + earned;
+    const remaining = Math.max(0, allowance - this.state.used);
+    const active = this.isActive(time);
+    
+    const cooldownEnd = this.state.lastEndTime !== null ?
+      this.state.lastEndTime + settings.cooldownSeconds * 1000 : 0;
+    const cooldownRemainingMs = active ? 0 : Math.max(0, cooldownEnd - time);
+    
+    const canEarnMore = earnEveryMs > 0 && earned < settings.maxEarnedPerDay;
+    
+    let reason = null;
+    if (active) reason = 'active';
+    else if (remaining === 0) reason = 'exhausted';
+    else if (cooldownRemainingMs > 0) reason = 'cooldown';
+    
+    return {
+      active: active,
+      remainingMs: active ? this.state.endTime - time : 0,
+      durationMs: settings.durationSeconds * 1000,
+      used: this.state.used,
+      allowance: allowance,
+      earned: earned,
+      remaining: remaining,
+      cooldownRemainingMs: cooldownRemainingMs,
+      nextEarnInMs: canEarnMore ? earnEveryMs - (awayMs % earnEveryMs) : null,
+      available: reason === null,
+      reason: reason
+    };
+  }
+  
+  // Starts a break if one is available and returns the resulting status
+  start(config, time = Date.now()) {
+    const status = this.getStatus(config, time);
+    if (!status.available) return status;
+    
+    this.state.used++;
+    this.state.endTime = time + status.durationMs;
+    this.state.lastEndTime = this.state.endTime;
+    return this.getStatus(config, time);
+  }
+  
+  end() {
+    this.state.endTime = null;
+  }
+}
@@ -0,0 +1,472 @@
+class FocusBlockerOptions {
+  constructor() {
+    this.settings = new FocusBlockerSettings();
+    this.statusTimeout = null;
+    
+    this.initialize();
+  }
+  
+  async initialize() {
+    console.log('[Focus Blocker] Options page loaded');
+    
+    this.cacheElements();
+    this.setupEventListeners();
+    this.renderShortcuts();
+    await this.loadForm();
+  }
+  
+  async renderShortcuts() {
+    const commands = await chrome.commands.getAll();
+    
+    this.shortcutListElement.replaceChildren(...commands
+      .filter(command => command.description)
+      .map(command => {
+        const row = document.createElement('div');
+        row.className = 'shortcut';
+        const description = document.createElement('span');
+        description.textContent = command.description;
+        const shortcut = document.createElement('kbd');
+        shortcut.textContent = command.shortcut || 'Not set';
+        row.append(description, shortcut);
+        return row;
+      }));
+  }
+  
+  cacheElements() {
+    this.siteListElement = document.getElementById('siteList');
+    this.siteRowTemplate = document.getElementById('siteRowTemplate');
+    this.addSiteButton = document.getElementById('addSiteButton');
+    this.scheduleListElement = document.getElementById('scheduleList');
+    this.scheduleRowTemplate = document.getElementById('scheduleRowTemplate');
+    this.addScheduleButton = document.getElementById('addScheduleButton');
+    this.allowlistElement = document.getElementById('allowlist');
+    this.timeoutSecondsElement = document.getElementById('timeoutSeconds');
+    this.blurMinElement = document.getElementById('blurMin');
+    this.blurMaxElement = document.getElementById('blurMax');
+    this.blurChanceElement = document.getElementById('blurChance');
+    this.blurCheckIntervalElement = document.getElementById('blurCheckInterval');
+    this.effectsElement = document.getElementById('effects');
+    this.rendererElement = document.getElementById('renderer');
+    this.countingPolicyElement = document.getElementById('countingPolicy');
+    this.idleThresholdElement = document.getElementById('idleThresholdSeconds');
+    this.metabolismEnabledElement = document.getElementById('metabolismEnabled');
+    this.eliminationRateElement = document.getElementById('eliminationRate');
+    this.waterBreakElements = {
+      durationSeconds: document.getElementById('waterBreakDuration'),
+      cooldownSeconds: document.getElementById('waterBreakCooldown'),
+      dailyAllowance: document.getElementById('waterBreakAllowance'),
+      earnAwayMinutes: document.getElementById('waterBreakEarnMinutes'),
+      maxEarnedPerDay: document.getElementById('waterBreakMaxEarned')
+    };
+    this.sobrietyTestEnabledElement = document.getElementById('sobrietyTestEnabled');
+    this.sobrietyTestTimeLimitElement = document.getElementById('sobrietyTestTimeLimit');
+    this.sobrietyTestTypesElement = document.getElementById('sobrietyTestTypes');
+    this.pauseEnabledElement = document.getElementById('pauseEnabled');
+    this.pauseWaitSecondsElement = document.getElementById('pauseWaitSeconds');
+    this.pauseMinReasonLengthElement = document.getElementById('pauseMinReasonLength');
+    this.badgeEnabledElement = document.getElementById('badgeEnabled');
+    this.badgeStyleElement = document.getElementById('badgeStyle');
+    this.badgeWarnAtMinutesElement = document.getElementById('badgeWarnAtMinutes');
+    this.hudEnabledElement = document.getElementById('hudEnabled');
+    this.hudWarnAtPercentElement = document.getElementById('hudWarnAtPercent');
+    this.hudWarnAtSecondsLeftElement = document.getElementById('hudWarnAtSecondsLeft');
+    this.hudHiddenSitesElement = document.getElementById('hudHiddenSites');
+    this.inputEffectElements = {
+      scrollInertiaEnabled: document.getElementById('scrollInertiaEnabled'),
+      scrollInertiaStrength: document.getElementById('scrollInertiaStrength'),
+      wheelDelayEnabled: document.getElementById('wheelDelayEnabled'),
+      wheelDelayMs: document.getElementById('wheelDelayMs'),
+      cursorDriftEnabled: document.getElementById('cursorDriftEnabled'),
+      cursorDriftMaxOffset: document.getElementById('cursorDriftMaxOffset'),
+      clickOffsetEnabled: document.getElementById('clickOffsetEnabled'),
+      clickOffsetChance: document.getElementById('clickOffsetChance'),
+      clickOffsetMaxOffset: document.getElementById('clickOffsetMaxOffset')
+    };
+    this.shortcutListElement = document.getElementById('shortcutList');
+    this.editShortcutsButton = document.getElementById('editShortcutsButton');
+    this.saveButton = document.getElementById('saveButton');
+    this.resetButton = document.getElementById('resetButton');
+    this.statusMessageElement = document.getElementById('statusMessage');
+  }
+  
+  setupEventListeners() {
+    this.addSiteButton.addEventListener('click', () => this.addSiteRow({ site: '' }).querySelector('input').focus());
+    this.addScheduleButton.addEventListener('click', () => this.addScheduleRow({ days: [1, 2, 3, 4, 5] }).querySelector('input').focus());
+    this.saveButton.addEventListener('click', () => this.handleSaveClick());
+    this.resetButton.addEventListener('click', () => this.handleResetClick());
+    this.editShortcutsButton.addEventListener('click', () => {
+      // Bindings are owned by the browser and edited on its own page
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+  }
+  
+  async loadForm() {
+    try {
+      const config = await this.settings.load();
+      this.populateForm(config);
+    } catch (error) {
+      console.error('[Focus Blocker] Failed to load settings:', error);
+      this.showStatus('Failed to load settings', true);
+    }
+  }
+  
+  populateForm(config) {
+    this.siteListElement.replaceChildren();
+    (config.blurrableSites || []).forEach(entry => {
+      this.addSiteRow(typeof entry === 'string' ? { site: entry } : entry);
+    });
+    
+    this.allowlistElement.value = (config.allowlist || []).join('\n');
+    this.timeoutSecondsElement.value = config.timeoutSeconds;
+    this.blurMinElement.value = config.blurMin;
+    this.blurMaxElement.value = config.blurMax;
+    this.blurChanceElement.value = Math.round((config.blurChance ?? 0) * 100);
+    this.blurCheckIntervalElement.value = config.blurCheckInterval;
+    this.effectsElement.value = this.formatEffects(config.effects || ['blur']);
+    this.rendererElement.value = config.renderer || 'auto';
+    this.countingPolicyElement.value = config.countingPolicy || 'focused';
+    this.idleThresholdElement.value = config.idleThresholdSeconds ?? 60;
+    this.metabolismEnabledElement.checked = config.metabolism?.enabled === true;
+    this.eliminationRateElement.value = Math.round((config.metabolism?.eliminationRate ?? 0.5) * 60);
+    this.populateInputEffects(config.inputEffects || {});
+    
+    Object.entries(this.waterBreakElements).forEach(([key, element]) => {
+      element.value = config.waterBreak?.[key] ?? '';
+    });
+    this.sobrietyTestEnabledElement.checked = config.sobrietyTest?.enabled === true;
+    this.sobrietyTestTimeLimitElement.value = config.sobrietyTest?.timeLimitSeconds ?? 30;
+    this.sobrietyTestTypesElement.value = (config.sobrietyTest?.types || []).join(', ');
+    this.pauseEnabledElement.checked = config.pause?.enabled !== false;
+    this.pauseWaitSecondsElement.value = config.pause?.waitSeconds ?? 60;
+    this.pauseMinReasonLengthElement.value = config.pause?.minReasonLength ?? 10;
+    this.badgeEnabledElement.checked = config.badge?.enabled !== false;
+    this.badgeStyleElement.value = config.badge?.style || 'countdown';
+    this.badgeWarnAtMinutesElement.value = config.badge?.warnAtMinutes ?? 1;
+    this.hudEnabledElement.checked = config.hud?.enabled === true;
+    this.hudWarnAtPercentElement.value = (config.hud?.warnAtPercent || []).join(', ');
+    this.hudWarnAtSecondsLeftElement.value = (config.hud?.warnAtSecondsLeft || []).join(', ');
+    this.hudHiddenSitesElement.value = (config.hud?.hiddenSites || []).join(', ');
+    
+    this.scheduleListElement.replaceChildren();
+    (config.schedules || []).forEach(schedule => this.addScheduleRow(schedule));
+  }
+  
+  addScheduleRow(schedule) {
+    const row = this.scheduleRowTemplate.content.firstElementChild.cloneNode(true);
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    
+    row.scheduleEntry = schedule;
+    field('name').value = schedule.name || '';
+    field('start').value = schedule.start || '';
+    field('end').value = schedule.end || '';
+    field('sites').value = (schedule.sites || []).join(', ');
+    field('timeoutSeconds').value = schedule.timeoutSeconds ?? '';
+    field('blocked').checked = schedule.blocked === true;
+    
+    const days = schedule.days || [0, 1, 2, 3, 4, 5, 6];
+    row.querySelectorAll('[data-day]').forEach(checkbox => {
+      checkbox.checked = days.includes(Number(checkbox.dataset.day));
+    });
+    
+    row.querySelector('.remove-button').addEventListener('click', () => row.remove());
+    this.scheduleListElement.appendChild(row);
+    return row;
+  }
+  
+  readScheduleRow(row) {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    const schedule = {
+      ...row.scheduleEntry,
+      name: field('name').value.trim() || 'Schedule',
+      days: Array.from(row.querySelectorAll('[data-day]:checked')).map(checkbox => Number(checkbox.dataset.day)),
+      blocked: field('blocked').checked
+    };
+    
+    ['start', 'end', 'sites', 'timeoutSeconds'].forEach(name => delete schedule[name]);
+    if (field('start').value) schedule.start = field('start').value;
+    if (field('end').value) schedule.end = field('end').value;
+    
+    const sites = this.parseList(field('sites').value.toLowerCase());
+    if (sites.length > 0) schedule.sites = sites;
+    if (field('timeoutSeconds').value !== '') schedule.timeoutSeconds = Number(field('timeoutSeconds').value);
+    
+    return schedule;
+  }
+  
+  populateInputEffects(inputEffects) {
+    const elements = this.inputEffectElements;
+    const { scrollInertia = {}, wheelDelay = {}, cursorDrift = {}, clickOffset = {} } = inputEffects;
+    
+    elements.scrollInertiaEnabled.checked = scrollInertia.enabled === true;
+    elements.scrollInertiaStrength.value = scrollInertia.strength ?? 0.6;
+    elements.wheelDelayEnabled.checked = wheelDelay.enabled === true;
+    elements.wheelDelayMs.value = wheelDelay.delayMs ?? 250;
+    elements.cursorDriftEnabled.checked = cursorDrift.enabled === true;
+    elements.cursorDriftMaxOffset.value = cursorDrift.maxOffsetPx ?? 24;
+    elements.clickOffsetEnabled.checked = clickOffset.enabled === true;
+    elements.clickOffsetChance.value = Math.round((clickOffset.chance ?? 0.2) * 100);
+    elements.clickOffsetMaxOffset.value = clickOffset.maxOffsetPx ?? 6;
+  }
+  
+  readInputEffects() {
+    const elements = this.inputEffectElements;
+    
+    return {
+      scrollInertia: {
+        enabled: elements.scrollInertiaEnabled.checked,
+        strength: Number(elements.scrollInertiaStrength.value)
+      },
+      wheelDelay: {
+        enabled: elements.wheelDelayEnabled.checked,
+        delayMs: Number(elements.wheelDelayMs.value)
+      },
+      cursorDrift: {
+        enabled: elements.cursorDriftEnabled.checked,
+        maxOffsetPx: Number(elements.cursorDriftMaxOffset.value)
+      },
+      clickOffset: {
+        enabled: elements.clickOffsetEnabled.checked,
+        chance: Number(elements.clickOffsetChance.value) / 100,
+        maxOffsetPx: Number(elements.clickOffsetMaxOffset.value)
+      }
+    };
+  }
+  
+  addSiteRow(entry) {
+    const row = this.siteRowTemplate.content.firstElementChild.cloneNode(true);
+    
+    // Keep fields this page doesn't edit so saving doesn't drop them
+    row.siteEntry = entry;
+    
+    row.querySelectorAll('[data-field]').forEach(input => {
+      const value = entry[input.dataset.field];
+      if (value === undefined) return;
+      
+      if (input.dataset.field === 'blurChance') {
+        input.value = Math.round(value * 100);
+      } else if (input.dataset.field === 'effects') {
+        input.value = this.formatEffects(value);
+      } else {
+        input.value = value;
+      }
+    });
+    
+    row.querySelector('.remove-button').addEventListener('click', () => row.remove());
+    this.siteListElement.appendChild(row);
+    return row;
+  }
+  
+  readSiteRow(row) {
+    const entry = { ...row.siteEntry };
+    
+    row.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      const raw = input.value.trim();
+      delete entry[field];
+      
+      if (raw === '') return;
+      
+      if (field === 'site') {
+        entry.site = raw.toLowerCase();
+      } else if (field === 'effects') {
+        entry.effects = this.parseEffects(raw);
+      } else if (field === 'blurChance') {
+        entry.blurChance = Number(raw) / 100;
+      } else {
+        entry[field] = Number(raw);
+      }
+    });
+    
+    if (!entry.site) return null;
+    
+    // Plain domains stay in the original string format
+    return Object.keys(entry).length === 1 ? entry.site : entry;
+  }
+  
+  parseList(text) {
+    return text
+      .split(',')
+      .map(effect => effect.trim())
+      .filter(Boolean);
+  }
+  
+  // Effects are a list of names or a map of name -> weight; the field shows
+  // weights as "sway: 0.4" and plain names weigh 1
+  formatEffects(effects) {
+    if (Array.isArray(effects)) return effects.join(', ');
+    return Object.entries(effects)
+      .map(([name, weight]) => weight === 1 ? name : `${name}: ${weight}`)
+      .join(', ');
+  }
+  
+  parseEffects(text) {
+    const entries = this.parseList(text).map(entry => entry.split(':').map(part => part.trim()));
+    if (entries.every(parts => parts.length === 1)) return entries.map(([name]) => name);
+    
+    return Object.fromEntries(entries.map(([name, weight]) => [name, weight === undefined ? 1 : Number(weight)]));
+  }
+  
+  invalidEffectWeight(effects) {
+    return !Array.isArray(effects) && Object.values(effects).some(weight => !(weight >= 0));
+  }
+  
+  readForm() {
+    const values = {
+      blurrableSites: Array.from(this.siteListElement.children)
+        .map(row => this.readSiteRow(row))
+        .filter(Boolean),
+      allowlist: this.allowlistElement.value
+        .split('\n')
+        .map(entry => entry.trim())
+        .filter(Boolean),
+      timeoutSeconds: Number(this.timeoutSecondsElement.value),
+      blurMin: Number(this.blurMinElement.value),
+      blurMax: Number(this.blurMaxElement.value),
+      blurChance: Number(this.blurChanceElement.value) / 100,
+      blurCheckInterval: Number(this.blurCheckIntervalElement.value),
+      effects: this.parseEffects(this.effectsElement.value),
+      renderer: this.rendererElement.value,
+      countingPolicy: this.countingPolicyElement.value,
+      idleThresholdSeconds: Number(this.idleThresholdElement.value),
+      metabolism: {
+        enabled: this.metabolismEnabledElement.checked,
+        eliminationRate: Number(this.eliminationRateElement.value) / 60
+      },
+      inputEffects: this.readInputEffects(),
+      waterBreak: Object.fromEntries(Object.entries(this.waterBreakElements)
+        .map(([key, element]) => [key, Number(element.value)])),
+      sobrietyTest: {
+        enabled: this.sobrietyTestEnabledElement.checked,
+        types: this.parseList(this.sobrietyTestTypesElement.value),
+        timeLimitSeconds: Number(this.sobrietyTestTimeLimitElement.value)
+      },
+      pause: {
+        enabled: this.pauseEnabledElement.checked,
+        waitSeconds: Number(this.pauseWaitSecondsElement.value),
+        minReasonLength: Number(this.pauseMinReasonLengthElement.value)
+      },
+      badge: {
+        enabled: this.badgeEnabledElement.checked,
+        style: this.badgeStyleElement.value,
+        warnAtMinutes: Number(this.badgeWarnAtMinutesElement.value)
+      },
+      hud: {
+        enabled: this.hudEnabledElement.checked,
+        warnAtPercent: this.parseList(this.hudWarnAtPercentElement.value).map(Number),
+        warnAtSecondsLeft: this.parseList(this.hudWarnAtSecondsLeftElement.value).map(Number),
+        hiddenSites: this.parseList(this.hudHiddenSitesElement.value.toLowerCase())
+      },
+      schedules: Array.from(this.scheduleListElement.children).map(row => this.readScheduleRow(row))
+    };
+    
+    return { values, error: this.validate(values) };
+  }
+  
+  validate(values) {
+    if (values.blurrableSites.length === 0) return 'Add at least one site';
+    if (!(values.timeoutSeconds > 0)) return 'Budget must be more than 0 seconds';
+    
+    for (const entry of values.allowlist) {
+      const typed = entry.match(/^([a-z]+):(?!\/\/)\s*(.*)$/i);
+      if (!typed) continue;
+      if (!['channel', 'playlist', 'subreddit'].includes(typed[1].toLowerCase())) return `Unknown allowlist type: ${typed[1]}`;
+      if (!typed[2].trim()) return `Allowlist entry needs a value: ${entry}`;
+    }
+    if (!(values.blurMin >= 0) || !(values.blurMax >= 0)) return 'Blur values cannot be negative';
+    if (values.blurMin > values.blurMax) return 'Blur min cannot be larger than blur max';
+    if (!(values.blurChance >= 0 && values.blurChance <= 1)) return 'Blur chance must be between 0 and 100%';
+    if (!(values.blurCheckInterval >= 0)) return 'Re-roll interval cannot be negative';
+    if (this.invalidEffectWeight(values.effects)) return 'Effect weights must be numbers of 0 or more';
+    if (!(values.idleThresholdSeconds >= 15)) return 'Idle detection needs at least 15 seconds';
+    if (!(values.metabolism.eliminationRate >= 0)) return 'Sobering up rate cannot be negative';
+    
+    const { scrollInertia, wheelDelay, cursorDrift, clickOffset } = values.inputEffects;
+    if (!(scrollInertia.strength >= 0 && scrollInertia.strength <= 1)) return 'Scroll inertia strength must be between 0 and 1';
+    if (!(wheelDelay.delayMs >= 0)) return 'Wheel delay cannot be negative';
+    if (!(cursorDrift.maxOffsetPx >= 0) || !(clickOffset.maxOffsetPx >= 0)) return 'Drift and slip distances cannot be negative';
+    if (!(clickOffset.chance >= 0 && clickOffset.chance <= 1)) return 'Slipping click chance must be between 0 and 100%';
+    
+    const { durationSeconds, ...waterBreakCounts } = values.waterBreak;
+    if (!(durationSeconds > 0)) return 'Water breaks must last more than 0 seconds';
+    if (!Object.values(waterBreakCounts).every(value => value >= 0)) return 'Water break settings cannot be negative';
+    if (!(values.sobrietyTest.timeLimitSeconds >= 5)) return 'Sobriety tests need at least 5 seconds';
+    
+    const unknownTest = values.sobrietyTest.types.find(type => !['typing', 'arithmetic', 'balance'].includes(type));
+    if (unknownTest) return `Unknown sobriety test: ${unknownTest}`;
+    
+    if (!(values.pause.waitSeconds >= 30)) return 'The pause wait must be at least 30 seconds';
+    if (!(values.pause.minReasonLength >= 0)) return 'Pause reason length cannot be negative';
+    if (!(values.badge.warnAtMinutes >= 0)) return 'Badge warning cannot be negative';
+    if (!values.hud.warnAtPercent.every(percent => percent > 0 && percent < 100)) return 'HUD warnings must be between 0 and 100%';
+    if (!values.hud.warnAtSecondsLeft.every(seconds => seconds > 0)) return 'HUD warnings must be more than 0 seconds left';
+    
+    for (const schedule of values.schedules) {
+      if (schedule.days.length === 0) return `${schedule.name}: pick at least one day`;
+      if (!schedule.blocked && schedule.timeoutSeconds !== undefined && !(schedule.timeoutSeconds > 0)) {
+        return `${schedule.name}: budget must be more than 0 seconds`;
+      }
+    }
+    
+    for (const entry of values.blurrableSites) {
+      if (typeof entry === 'string') continue;
+      
+      const error = this.validateSiteEntry(entry, values);
+      if (error) return `${entry.site}: ${error}`;
+    }
+    
+    return null;
+  }
+  
+  // Fields a rule leaves out come from the global values
+  validateSiteEntry(entry, values) {
+    const blurMin = entry.blurMin ?? values.blurMin;
+    const blurMax = entry.blurMax ?? values.blurMax;
+    
+    if (entry.timeoutSeconds !== undefined && !(entry.timeoutSeconds > 0)) return 'budget must be more than 0 seconds';
+    if (blurMin < 0 || blurMax < 0) return 'blur values cannot be negative';
+    if (blurMin > blurMax) return 'blur min cannot be larger than blur max';
+    if (entry.blurChance !== undefined && !(entry.blurChance >= 0 && entry.blurChance <= 1)) return 'blur chance must be between 0 and 100%';
+    if (entry.effects && this.invalidEffectWeight(entry.effects)) return 'effect weights must be numbers of 0 or more';
+    return null;
+  }
+  
+  async handleSaveClick() {
+    const { values, error } = this.readForm();
+    if (error) {
+      this.showStatus(error, true);
+      return;
+    }
+    
+    try {
+      await this.settings.save(values);
+      this.showStatus('Saved');
+    } catch (error) {
+      console.error('[Focus Blocker] Failed to save settings:', error);
+      this.showStatus('Failed to save settings', true);
+    }
+  }
+  
+  async handleResetClick() {
+    try {
+      await this.settings.reset();
+      await this.loadForm();
+      this.showStatus('Defaults restored');
+    } catch (error) {
+      console.error('[Focus Blocker] Failed to restore defaults:', error);
+      this.showStatus('Failed to restore defaults', true);
+    }
+  }
+  
+  showStatus(message, isError = false) {
+    this.statusMessageElement.textContent = message;
+    this.statusMessageElement.classList.toggle('error', isError);
+    
+    if (this.statusTimeout) clearTimeout(this.statusTimeout);
+    this.statusTimeout = setTimeout(() => {
+      this.statusMessageElement.textContent = '';
+    }, 3000);
+  }
+}
+
+// Initialize the options page
+new FocusBlockerOptions();
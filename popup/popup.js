@@ -1,8 +1,9 @@
 class FocusBlockerPopup {
   constructor() {
-    this.waterBreakDuration = 5000; // 5 seconds in milliseconds
-    this.waterBreakEndTime = null;
     this.updateInterval = null;
+    this.waterBreakNotice = null; // { text, until }, outlasts the next few refreshes
+    this.pauseNotice = null;
+    this.pauseMinReasonLength = 0;
     
     this.initialize();
   }
@@ -18,20 +19,59 @@ class FocusBlockerPopup {
   cacheElements() {
     this.timeUntilBlurElement = document.getElementById('timeUntilBlur');
     this.waterButton = document.getElementById('waterButton');
+    this.waterBreakInfoElement = document.getElementById('waterBreakInfo');
+    this.waterBreaksLeftElement = document.getElementById('waterBreaksLeft');
     this.totalTimeTodayElement = document.getElementById('totalTimeToday');
     this.blockedSitesCountElement = document.getElementById('blockedSitesCount');
     this.currentStatusElement = document.getElementById('currentStatus');
+    this.currentScheduleElement = document.getElementById('currentSchedule');
+    this.nextScheduleChangeElement = document.getElementById('nextScheduleChange');
+    this.pauseCard = document.getElementById('pauseCard');
+    this.pauseToggle = document.getElementById('pauseToggle');
+    this.pauseForm = document.getElementById('pauseForm');
+    this.pauseDurationElement = document.getElementById('pauseDuration');
+    this.pauseReasonElement = document.getElementById('pauseReason');
+    this.pauseStartButton = document.getElementById('pauseStartButton');
+    this.pauseStatusElement = document.getElementById('pauseStatus');
+    this.pauseEndButton = document.getElementById('pauseEndButton');
     this.errorMessageElement = document.getElementById('errorMessage');
+    this.settingsLink = document.getElementById('settingsLink');
+    this.dashboardLink = document.getElementById('dashboardLink');
   }
   
   setupEventListeners() {
     this.waterButton.addEventListener('click', () => this.handleWaterButtonClick());
+    this.pauseToggle.addEventListener('click', () => {
+      this.pauseForm.hidden = !this.pauseForm.hidden;
+      if (!this.pauseForm.hidden) this.pauseReasonElement.focus();
+    });
+    this.pauseReasonElement.addEventListener('input', () => this.updatePauseStartButton());
+    this.pauseStartButton.addEventListener('click', () => this.handlePauseStartClick());
+    this.pauseEndButton.addEventListener('click', () => this.handlePauseEndClick());
+    this.settingsLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+    this.dashboardLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+    });
   }
   
   async handleWaterButtonClick() {
     try {
-      await this.requestWaterBreak();
-      this.startWaterBreakCooldown();
+      this.waterButton.disabled = true;
+      const response = await this.requestWaterBreak();
+      
+      if (response.reason === 'sobrietyTest') {
+        // The test is waiting on the page, which the open popup would cover
+        window.close();
+        return;
+      }
+      if (response.reason === 'noTestPage') {
+        this.waterBreakNotice = { text: 'Open a target site to take the sobriety test', until: Date.now() + 4000 };
+      }
+      await this.updatePopupData();
     } catch (error) {
       console.error('[Focus Blocker] Error requesting water break:', error);
       this.showError('Failed to request water break');
@@ -43,7 +83,8 @@ class FocusBlockerPopup {
       chrome.runtime.sendMessage({ action: 'requestWaterBreak' }, (response) => {
         if (chrome.runtime.lastError) {
           reject(chrome.runtime.lastError);
-        } else if (response?.success) {
+        } else if (response?.waterBreak) {
+          // Refusals (cooldown, no breaks left) still carry the current status
           resolve(response);
         } else {
           reject(new Error('Water break request failed'));
@@ -52,28 +93,114 @@ class FocusBlockerPopup {
     });
   }
   
-  startWaterBreakCooldown() {
-    this.waterBreakEndTime = Date.now() + this.waterBreakDuration;
-    this.waterButton.disabled = true;
-    this.updateWaterButtonText();
+  async handlePauseStartClick() {
+    try {
+      this.pauseStartButton.disabled = true;
+      const response = await chrome.runtime.sendMessage({
+        action: 'requestPause',
+        duration: this.pauseDurationElement.value,
+        reason: this.pauseReasonElement.value
+      });
+      
+      if (response?.success) {
+        this.pauseReasonElement.value = '';
+        this.pauseForm.hidden = true;
+      } else {
+        const messages = {
+          disabled: 'Pausing is turned off in the settings',
+          alreadyPaused: 'Already paused',
+          reasonTooShort: `Give a reason of at least ${this.pauseMinReasonLength} characters`
+        };
+        this.pauseNotice = { text: messages[response?.reason] || 'Could not pause', until: Date.now() + 4000 };
+      }
+      await this.updatePopupData();
+    } catch (error) {
+      console.error('[Focus Blocker] Error requesting pause:', error);
+      this.showError('Failed to request pause');
+    }
+  }
+  
+  async handlePauseEndClick() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'endPause' });
+      await this.updatePopupData();
+    } catch (error) {
+      console.error('[Focus Blocker] Error ending pause:', error);
+      this.showError('Failed to end pause');
+    }
   }
   
-  updateWaterButtonText() {
-    if (!this.waterButton.disabled) {
-      this.waterButton.textContent = '💧 Water Break';
-      return;
+  updatePause(pause) {
+    if (!pause) return;
+    
+    const requested = pause.pending || pause.active;
+    this.pauseCard.hidden = !pause.enabled && !requested;
+    this.pauseToggle.hidden = requested;
+    this.pauseEndButton.hidden = !requested;
+    this.pauseEndButton.textContent = pause.active ? 'End pause' : 'Call it off';
+    if (requested) this.pauseForm.hidden = true;
+    
+    this.pauseMinReasonLength = pause.minReasonLength;
+    this.updatePauseStartButton();
+    
+    let text = '';
+    if (this.pauseNotice && Date.now() < this.pauseNotice.until) {
+      text = this.pauseNotice.text;
+    } else if (pause.pending) {
+      text = `Pausing in ${this.formatDuration(pause.startsInMs)} for: ${pause.reason}`;
+    } else if (pause.active) {
+      text = `Paused until ${this.formatScheduleTime(pause.endTime)} for: ${pause.reason}`;
+    } else if (!this.pauseForm.hidden) {
+      text = `Tracking stops ${pause.waitSeconds}s after you ask`;
     }
+    this.pauseStatusElement.textContent = text;
+  }
+  
+  updatePauseStartButton() {
+    this.pauseStartButton.disabled = this.pauseReasonElement.value.trim().length < this.pauseMinReasonLength;
+  }
+  
+  updateWaterBreak(waterBreak, pause) {
+    if (!waterBreak) return;
     
-    const remainingTime = Math.max(0, this.waterBreakEndTime - Date.now());
-    const seconds = Math.ceil(remainingTime / 1000);
+    this.waterButton.disabled = !waterBreak.available || pause?.active === true;
+    this.waterBreaksLeftElement.textContent = `${waterBreak.remaining} of ${waterBreak.allowance}`;
     
-    if (seconds > 0) {
-      this.waterButton.textContent = `⏳ ${seconds}s`;
+    if (pause?.active) {
+      this.waterButton.textContent = '🚗 Paused';
+    } else if (waterBreak.reason === 'active') {
+      this.waterButton.textContent = `⏳ ${Math.ceil(waterBreak.remainingMs / 1000)}s`;
+    } else if (waterBreak.reason === 'exhausted') {
+      this.waterButton.textContent = '🚱 No breaks left';
+    } else if (waterBreak.reason === 'cooldown') {
+      this.waterButton.textContent = `⏳ ${this.formatDuration(waterBreak.cooldownRemainingMs)}`;
     } else {
-      this.waterBreakEndTime = null;
-      this.waterButton.disabled = false;
       this.waterButton.textContent = '💧 Water Break';
     }
+    
+    const seconds = Math.round(waterBreak.durationMs / 1000);
+    let duration = waterBreak.sobrietyTest ?
+      `Pass a sobriety test to sober up for ${seconds} seconds` :
+      `Click to sober up for ${seconds} seconds`;
+    if (waterBreak.failedSobrietyTests > 0) {
+      duration += ` (${waterBreak.failedSobrietyTests} failed today)`;
+    }
+    
+    if (this.waterBreakNotice && Date.now() < this.waterBreakNotice.until) {
+      this.waterBreakInfoElement.textContent = this.waterBreakNotice.text;
+    } else if (waterBreak.reason === 'exhausted' && waterBreak.nextEarnInMs !== null) {
+      this.waterBreakInfoElement.textContent = `Stay away ${this.formatDuration(waterBreak.nextEarnInMs)} to earn another break`;
+    } else if (waterBreak.reason === 'cooldown') {
+      this.waterBreakInfoElement.textContent = 'Pace yourself, next break after the cooldown';
+    } else {
+      this.waterBreakInfoElement.textContent = duration;
+    }
+  }
+  
+  formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${(seconds % 60).toString().padStart(2, '0')}s` : `${seconds}s`;
   }
   
   startUpdateLoop() {
@@ -83,7 +210,6 @@ class FocusBlockerPopup {
     // Then update every second
     this.updateInterval = setInterval(() => {
       this.updatePopupData();
-      this.updateWaterButtonText();
     }, 1000);
   }
   
@@ -116,16 +242,25 @@ class FocusBlockerPopup {
     this.updateTimeUntilBlur(data);
     this.updateTotalTime(data);
     this.updateStatus(data);
+    this.updateSchedule(data);
+    this.updateWaterBreak(data.waterBreak, data.pause);
+    this.updatePause(data.pause);
   }
   
   updateTimeUntilBlur(data) {
-    if (data.waterBreakActive) {
+    if (data.pause?.active) {
+      this.timeUntilBlurElement.textContent = 'PAUSED';
+      this.timeUntilBlurElement.style.color = '#9E9E9E';
+    } else if (data.allowlisted) {
+      this.timeUntilBlurElement.textContent = 'ALLOWED';
+      this.timeUntilBlurElement.style.color = '#009688';
+    } else if (data.waterBreakActive) {
       const remaining = Math.max(0, data.waterBreakRemaining);
       const seconds = Math.ceil(remaining / 1000);
       this.timeUntilBlurElement.textContent = `${seconds}s`;
       this.timeUntilBlurElement.style.color = '#4CAF50';
     } else {
-      const timeLeft = Math.max(0, data.timeoutMs - data.totalTime);
+      const timeLeft = Math.max(0, data.timeoutMs - (data.intoxicationTime ?? data.totalTime));
       const seconds = Math.ceil(timeLeft / 1000);
       const minutes = Math.floor(seconds / 60);
       const remainingSeconds = seconds % 60;
@@ -148,18 +283,63 @@ class FocusBlockerPopup {
   }
   
   updateStatus(data) {
-    if (data.waterBreakActive) {
+    // Which rule let the page through, on hover
+    this.currentStatusElement.title = data.allowlisted || '';
+    
+    if (data.pause?.active) {
+      this.currentStatusElement.textContent = 'Designated driver';
+      this.currentStatusElement.style.color = '#9E9E9E';
+    } else if (data.allowlisted) {
+      this.currentStatusElement.textContent = 'Allowlisted';
+      this.currentStatusElement.style.color = '#009688';
+    } else if (data.waterBreakActive) {
       this.currentStatusElement.textContent = 'Water Break';
       this.currentStatusElement.style.color = '#4CAF50';
-    } else if (data.totalTime >= data.timeoutMs) {
+    } else if (data.intoxication) {
+      this.currentStatusElement.textContent = data.intoxication.name;
+      this.currentStatusElement.style.color = this.getLevelColor(data.intoxication.level);
+    } else if ((data.intoxicationTime ?? data.totalTime) >= data.timeoutMs) {
       this.currentStatusElement.textContent = 'Blurred';
       this.currentStatusElement.style.color = '#F44336';
     } else {
-      this.currentStatusElement.textContent = 'Active';
+      this.currentStatusElement.textContent = 'Sober';
       this.currentStatusElement.style.color = '#2196F3';
     }
   }
   
+  updateSchedule(data) {
+    if (!data.isTargetSite) {
+      this.currentScheduleElement.textContent = '—';
+      this.nextScheduleChangeElement.textContent = '';
+      return;
+    }
+    
+    if (data.schedule?.blocked) {
+      this.currentScheduleElement.textContent = `${data.schedule.name} (blocked)`;
+      this.currentScheduleElement.style.color = '#F44336';
+    } else {
+      this.currentScheduleElement.textContent = data.schedule ? data.schedule.name : 'Default budget';
+      this.currentScheduleElement.style.color = '#00f2ff';
+    }
+    
+    const next = data.nextScheduleChange;
+    this.nextScheduleChangeElement.textContent = next ? 
+      `${next.name} from ${this.formatScheduleTime(next.time)}` : '';
+  }
+  
+  formatScheduleTime(time) {
+    const date = new Date(time);
+    const clock = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    
+    if (date.toDateString() === new Date().toDateString()) return clock;
+    return `${date.toLocaleDateString([], { weekday: 'short' })} ${clock}`;
+  }
+  
+  getLevelColor(level) {
+    const colors = ['#FFC107', '#FF9800', '#F44336', '#9C27B0'];
+    return colors[Math.min(level, colors.length - 1)];
+  }
+  
   showError(message) {
     if (this.errorMessageElement) {
       this.errorMessageElement.textContent = message;